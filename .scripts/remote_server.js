@@ -0,0 +1,171 @@
+// Test server for the remote backend of the Terminal component.
+//
+//   npm run remote-server -- [--port 8022] [command [args...]]
+//
+// Each WebSocket connection gets its own process, spoken to with the protocol
+// documented in src/Remote.js. With node-pty installed the command (a login
+// shell by default) runs in a pty. Without it the server falls back to pipes
+// and does the line editing a pty would do itself; the default command is
+// then a scripted echo process, so the server works offline and without any
+// native modules.
+
+const path = require('path');
+const spawn = require('child_process').spawn;
+const WebSocket = require('ws');
+
+let pty = null;
+
+try {
+  pty = require('node-pty');
+} catch (err) {
+  // Fall back to pipes
+}
+
+const ECHO_SCRIPT = [
+  "const readline = require('readline');",
+  "const rl = readline.createInterface({ input: process.stdin });",
+  "process.stdout.write('remote echo, type \"exit [status]\" to quit\\n$ ');",
+  "rl.on('line', (line) => {",
+  "  const match = line.trim().match(/^exit(?:\\s+(\\d+))?$/);",
+  "  if (match) process.exit(Number(match[1] || 0));",
+  "  process.stdout.write(`you typed: ${line}\\n$ `);",
+  "});",
+  "rl.on('close', () => process.exit(0));"
+].join('\n');
+
+function parseArgs (argv) {
+  const options = { port: 8022, command: null, args: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = Number(argv[++i]);
+    } else {
+      options.command = argv[i];
+      options.args = argv.slice(i + 1);
+      break;
+    }
+  }
+
+  return options;
+}
+
+// Run the command in a pty, which handles echo, line editing and signals
+function spawnPty (options, size, send) {
+  const shell = options.command || process.env.SHELL || 'bash';
+  const proc = pty.spawn(shell, options.args, {
+    name: 'xterm-256color',
+    cols: size.columns,
+    rows: size.rows,
+    cwd: process.env.HOME,
+    env: process.env
+  });
+
+  proc.onData(data => send({ type: 'stdout', data }));
+  proc.onExit(({ exitCode }) => send({ type: 'exit', code: exitCode }));
+
+  return {
+    write: data => proc.write(data),
+    resize: (columns, rows) => proc.resize(columns, rows),
+    kill: () => proc.kill()
+  };
+}
+
+// Run the command with pipes, echoing and buffering input a line at a time
+function spawnPiped (options, size, send) {
+  const command = options.command || process.execPath;
+  const args = options.command ? options.args : ['-e', ECHO_SCRIPT];
+  const proc = spawn(command, args, { cwd: path.resolve(__dirname, '..') });
+  let line = '';
+
+  const output = data => send({ type: 'stdout', data: data.toString().replace(/\r?\n/g, '\r\n') });
+
+  proc.stdout.on('data', output);
+  proc.stderr.on('data', output);
+  proc.on('close', code => send({ type: 'exit', code: code === null ? 130 : code }));
+
+  return {
+    write (data) {
+      for (const ch of data) {
+        if (ch === '\r') {
+          send({ type: 'stdout', data: '\r\n' });
+          proc.stdin.write(`${line}\n`);
+          line = '';
+        } else if (ch === '\x7f' || ch === '\b') {
+          if (line.length > 0) {
+            line = line.slice(0, -1);
+            send({ type: 'stdout', data: '\b \b' });
+          }
+        } else if (ch === '\x03') {
+          send({ type: 'stdout', data: '^C\r\n' });
+          proc.kill('SIGINT');
+        } else if (ch === '\x04') {
+          if (line.length === 0) proc.stdin.end();
+        } else if (ch >= ' ') {
+          line += ch;
+          send({ type: 'stdout', data: ch });
+        }
+      }
+    },
+    resize () {},
+    kill: () => proc.kill()
+  };
+}
+
+function start (options) {
+  const server = new WebSocket.Server({ port: options.port });
+
+  server.on('connection', (socket) => {
+    let proc = null;
+    let exited = false;
+
+    const send = (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+
+      if (message.type === 'exit') {
+        exited = true;
+        socket.close();
+      }
+    };
+
+    socket.on('message', (raw) => {
+      let message;
+
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        return;
+      }
+
+      if (exited) return;
+
+      // The process starts on the first resize, so it gets the right size
+      if (message.type === 'resize' && !proc) {
+        const size = { columns: message.columns, rows: message.rows };
+        proc = (pty ? spawnPty : spawnPiped)(options, size, send);
+      } else if (message.type === 'resize') {
+        proc.resize(message.columns, message.rows);
+      } else if (message.type === 'stdin' && proc) {
+        proc.write(String(message.data));
+      }
+    });
+
+    socket.on('close', () => {
+      if (proc && !exited) proc.kill();
+    });
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+
+  start(options).on('listening', () => {
+    const mode = pty ? 'a pty' : 'pipes';
+    console.log(`Remote terminal server on ws://localhost:${options.port} using ${mode}`);
+  });
+}
+
+module.exports = start;
@@ -0,0 +1,80 @@
+/**
+ * Minimal stand-in for the DOM AbortSignal, used where the environment does
+ * not provide one.
+ */
+class Signal {
+  constructor () {
+    this.aborted = false;
+    this.reason = undefined;
+    this.onabort = null;
+
+    this._listeners = [];
+  }
+
+  addEventListener (type, listener) {
+    if (type === 'abort' && this._listeners.indexOf(listener) === -1) {
+      this._listeners.push(listener);
+    }
+  }
+
+  removeEventListener (type, listener) {
+    if (type === 'abort') {
+      this._listeners = this._listeners.filter(l => l !== listener);
+    }
+  }
+
+  throwIfAborted () {
+    if (this.aborted) {
+      throw this.reason;
+    }
+  }
+
+  _abort (reason) {
+    if (this.aborted) return;
+
+    let event = { type: 'abort', target: this };
+
+    this.aborted = true;
+    this.reason = reason;
+
+    if (typeof this.onabort === 'function') {
+      this.onabort(event);
+    }
+
+    this._listeners.slice().forEach(listener => listener.call(this, event));
+  }
+}
+
+/**
+ * Minimal stand-in for the DOM AbortController.
+ */
+class Controller {
+  constructor () {
+    this.signal = new Signal();
+  }
+
+  abort (reason) {
+    let error = reason;
+
+    if (error === undefined) {
+      error = new Error('The operation was aborted.');
+      error.name = 'AbortError';
+    }
+
+    this.signal._abort(error);
+  }
+}
+
+/**
+ * Create an AbortController, preferring the native implementation so its
+ * signal can be handed to APIs like `fetch`.
+ *
+ * @return {AbortController}
+ */
+export default function createAbortController () {
+  if (typeof AbortController === 'function') {
+    return new AbortController();
+  }
+
+  return new Controller();
+}
@@ -1,71 +1,445 @@
 import Readline from './Readline';
-import { InputStream, OutputStream } from './Stream';
-import { isFunction } from 'lodash';
+import createAbortController from './Abort';
+import { PassThrough } from 'stream';
+import { parseArguments, parseCommandLine, scanCommandLine, tokenize } from './Parser';
+import { InputStream, OutputStream, StringWriter, TerminalWriter } from './Stream';
+import { createDefaultStorage } from './History';
+import { assign, isFunction, isNumber, isPlainObject, padEnd, padStart } from 'lodash';
 import chalk from 'chalk';
 
 chalk.enabled = true;
 
-const __commands = {};
+const COMMANDS = Symbol('commands');
 
-export default class CommandClass {
-  constructor (hterm, config) {
-    if (config == null) { config = {}; }
+// Switch to the alternate screen, saving the cursor
+const ENTER_ALTERNATE_SCREEN = '\u001b[?1049h';
+
+// Turn off mouse reporting, reset attributes and show the cursor before
+// switching back to the normal screen and restoring the cursor
+const EXIT_ALTERNATE_SCREEN = [
+  '\u001b[?1000l', '\u001b[?1002l', '\u001b[?1003l', '\u001b[?1005l', '\u001b[?1006l',
+  '\u001b[0m', '\u001b[?25h', '\u001b[?1049l',
+].join('');
+
+/**
+ * Get the command registry owned by a class prototype, creating it on first
+ * use. Registries inherit from the registry of the parent class, so
+ * subclasses see their parents' commands and may override them.
+ *
+ * @param {Object} proto
+ *
+ * @return {Object}
+ */
+function ownRegistry (proto) {
+  if (!Object.prototype.hasOwnProperty.call(proto, COMMANDS)) {
+    proto[COMMANDS] = Object.create(proto[COMMANDS] || null);
+  }
+
+  return proto[COMMANDS];
+}
+
+/**
+ * Add a command and its aliases to a registry.
+ *
+ * @param {Object} registry
+ * @param {string} name
+ * @param {function|string} method - Handler, or the name of a method
+ * @param {Object} options - Same options as `add_command`
+ */
+function addToRegistry (registry, name, method, options) {
+  let command = assign({}, options, { name, method });
+
+  registry[name] = command;
+
+  (command.aliases || []).forEach((alias) => {
+    registry[alias] = command;
+  });
+}
+
+/**
+ * Register a method as a command of the decorated class and its subclasses.
+ * Used either bare, taking the method name as the command name, or as
+ * `add_command(name, options)`.
+ *
+ * @param {string} name - Command name
+ * @param {Object} options
+ * @param {string} options.description - One line summary shown by `help`
+ * @param {string} options.usage - Usage line, generated from `args` if omitted
+ * @param {Object[]} options.args - Positional arguments as
+ *   `{ name, description, type, default, required, variadic }`
+ * @param {Object[]} options.options - Options as
+ *   `{ name, alias, description, type, default, required }`, where type is one
+ *   of 'string' (the default), 'number' or 'boolean'
+ * @param {string[]} options.aliases - Other names the command answers to
+ * @param {boolean} options.hidden - Leave the command out of listings
+ * @param {function|Array} options.complete - Argument completer, called with
+ *   the partial argument and the preceding arguments, returning candidates or
+ *   a Promise of them. An array gives one completer (or a list of candidates)
+ *   per argument position.
+ * @param {function} options.incomplete - Called with the input typed so far
+ *   when it starts with the command; returning true asks for another line
+ *   instead of running it, e.g. until a SQL statement ends with `;`
+ * @param {function} options.suggest - Called with the input typed so far
+ *   when it starts with the command, returning a longer line to suggest
+ *   after the cursor; history is suggested when it returns nothing
+ */
+let add_command = (target, key) => {
+  if (typeof key !== 'string') {
+    let options = key || {};
+
+    return (_target, _key) => {
+      addToRegistry(ownRegistry(_target), target, _key, options);
+    };
+  }
+
+  addToRegistry(ownRegistry(target), key, key);
+};
 
+export default class CommandClass {
+  constructor (hterm, config = isPlainObject(hterm && hterm.argString) ? hterm.argString : {}) {
     this._hterm = hterm;
+    this._config = config;
     this._readline = null;
 
     this._input = null;
     this._output = null;
+    this._screen = null;
+
+    this._running = null;
+    this._pending = [];
+    this._controller = null;
+    this._destroyed = false;
+    this._commands = Object.create(this[COMMANDS] || null);
+    this._history = assign({ key: 'default' }, config.history);
+    this._history.storage = this._history.storage || createDefaultStorage();
 
+    this.env = assign({}, hterm && hterm.environment);
+    this.files = {};
+    this.exitStatus = 0;
     this.prompt = '> ';
   }
 
   run () {
     let input = new InputStream(this._hterm.io);
     let output = new OutputStream(this._hterm.io);
-    let prompt = this.prompt;
+    let prompt = this.renderPrompt(this.prompt);
+
+    let completer = this.bound('complete');
+    let history = this._history;
 
-    this._readline = Readline.createInterface({ input, output, prompt });
+    this._readline = Readline.createInterface({
+      input,
+      output,
+      prompt,
+      completer,
+      historySize: history.size,
+      historyStorage: history.storage,
+      historyKey: history.key,
+      historyIgnoreDuplicates: history.ignoreDuplicates,
+      historyIgnoreSpace: history.ignoreSpace,
+      editMode: this._config.editMode,
+      keymap: this._config.keymap,
+      killRingSize: this._config.killRingSize,
+      continuationPrompt: this._config.continuationPrompt,
+      isIncomplete: this.bound('isIncomplete'),
+      highlighter: this._config.highlight === false ? null : this.bound('highlight'),
+      suggester: this._config.autosuggest === false ? null : this.bound('suggest'),
+      confirmPaste: this._config.confirmPaste,
+    });
     this._readline.on('line', this.bound('onLine'));
+    this._readline.on('SIGINT', this.bound('_interrupt'));
+
+    // hterm reports size changes to the IO in the foreground only
+    this._hterm.io.onTerminalResize = (columns, rows) => this.resize(columns, rows);
 
     this._input = input;
     this._output = output;
 
-    let result = new Promise((function (resolve) {
+    let result = new Promise((resolve) => {
       this._readline.on('close', resolve);
+      this._readline.prompt();
+    });
+
+    // Closing the Readline (Ctrl+D on an empty line) ends the session
+    return result.then(() => {
+      if (!this._destroyed) {
+        return this.exit(this.exitStatus);
+      }
+    });
+  }
 
-      return this._readline.prompt();
-    }.bind(this)));
+  /**
+   * End the session: abort the running command and release the Readline and
+   * the streams. The instance can't be run again afterwards.
+   */
+  destroy () {
+    this._destroyed = true;
+    this._pending = [];
 
-    
-    if (isFunction(result != null ? result.then : undefined)) {
-      return result.then(() => { this._cancel(); });
+    if (this._controller) {
+      this._controller.abort();
     }
 
-    return this.exit(result);
+    this.exitFullScreen();
+
+    if (this._readline) {
+      this._readline.close();
+      this._readline.removeAllListeners();
+    }
+
+    if (this._input) {
+      this._input.detach();
+    }
   }
 
-  _cancel () {
-    this.writeln('^C');
-    this.run();
+  /**
+   * Ctrl+C handler. Aborts the running command, if any, along with anything
+   * typed ahead of it; at an idle prompt the line is simply discarded.
+   */
+  _interrupt () {
+    this._pending = [];
+    this._readline.cancelQuestion();
+
+    if (this._controller) {
+      // The line isn't drawn while the command runs, so only mark the
+      // interruption after its output and drop the keys typed ahead
+      this.write('^C\r\n');
+      this._readline.clearLine();
+      this._controller.abort();
+    } else {
+      this._readline.abortLine();
+      this._readline.prompt();
+    }
   }
 
   onLine (line) {
-    let { cmd, args } = this.parseLine(line);
+    if (isFunction(this._config.onLine)) {
+      this._config.onLine(line);
+    }
 
-    if (cmd) {
-      return this.runCommand(cmd, args);
+    if (this._running) {
+      this._pending.push(line);
+      return this._running;
     }
 
-    return this._readline.prompt();
+    return this._runLine(line);
   }
 
+  /**
+   * Run a line, then the lines typed ahead of it while it ran, before the
+   * prompt comes back.
+   *
+   * @private
+   *
+   * @param {string} line
+   *
+   * @return {Promise}
+   */
+  _runLine (line) {
+    // Keys typed while the command runs are kept for the next prompt
+    // instead of being drawn over its output
+    this._readline.setHidden(true);
+
+    this._running = this.execute(line).then(() => {
+      this._running = null;
+
+      if (this._destroyed) return;
+
+      if (this._pending.length > 0) {
+        let next = this._pending.shift();
+
+        // Lines typed ahead weren't drawn, so show what runs next like a
+        // shell echoes it
+        this.writeln(this.renderPrompt(this.prompt) + next);
+
+        return this._runLine(next);
+      }
+
+      this._readline.setHidden(false);
+
+      return this._readline.prompt(true);
+    });
+
+    return this._running;
+  }
+
+  /**
+   * Parse and run a line of input. The line may chain pipelines with `;`,
+   * `&&` and `||`: `&&` runs the next pipeline only if the previous one
+   * succeeded, `||` only if it failed. Ctrl+C stops the whole line.
+   *
+   * @param {string} line
+   *
+   * @return {Promise} Resolves with the exit status once the command settles
+   */
+  execute (line) {
+    let pipelines;
+
+    try {
+      pipelines = parseCommandLine(line);
+    } catch (err) {
+      this.writeln(chalk.red(`syntax error: ${err.message}`));
+      return Promise.resolve(this._setExitStatus(2));
+    }
+
+    let controller = createAbortController();
+    let { signal } = controller;
+
+    this._controller = controller;
+
+    let run = (index, code) => {
+      if (index === pipelines.length) {
+        return Promise.resolve(code);
+      }
+
+      if (signal.aborted) {
+        return Promise.resolve(130);
+      }
+
+      let { op, commands } = pipelines[index];
+
+      if ((op === '&&' && code !== 0) || (op === '||' && code === 0)) {
+        return run(index + 1, code);
+      }
+
+      return this.runPipeline(commands, signal).then(next => run(index + 1, next));
+    };
+
+    return run(0, this.exitStatus).then((code) => {
+      if (this._controller === controller) {
+        this._controller = null;
+      }
+
+      return this._setExitStatus(code);
+    });
+  }
+
+  /**
+   * Run commands connected by pipes, each reading the stdout of the previous
+   * one on its stdin. A command redirecting its output with `>` or `>>`
+   * writes to a file instead, and the next command reads nothing.
+   *
+   * @param {Object[]} commands - Commands as parsed by `parseCommandLine`
+   * @param {AbortSignal} signal
+   *
+   * @return {Promise} Resolves with the exit status of the last command
+   */
+  runPipeline (commands, signal) {
+    let parsed;
+
+    try {
+      parsed = commands.map(({ text, redirect }) => assign(this.parseLine(text), {
+        redirect: redirect && this._parseRedirect(redirect),
+      }));
+    } catch (err) {
+      this.writeln(chalk.red(`syntax error: ${err.message}`));
+      return Promise.resolve(this._setExitStatus(2));
+    }
+
+    let stdin = new PassThrough();
+    stdin.end();
+
+    let results = parsed.map(({ cmd, args, redirect }, i) => {
+      let isLast = i === parsed.length - 1;
+      let pipe = isLast ? null : new PassThrough();
+      let stdout;
+
+      if (redirect) {
+        stdout = new StringWriter();
+
+        if (pipe) {
+          pipe.end();
+        }
+      } else {
+        stdout = pipe || new TerminalWriter(data => this.write(data));
+      }
+
+      let context = { signal, stdin, stdout };
+      let result = cmd ? this.runCommand(cmd, args, context) : Promise.resolve(this.exitStatus);
+
+      stdin = pipe;
+
+      return result.then((code) => {
+        if (pipe && !redirect) {
+          pipe.end();
+        }
+
+        if (!redirect) {
+          return code;
+        }
+
+        try {
+          this.writeFile(redirect.path, stdout.data, redirect.append);
+        } catch (err) {
+          // File system errors name the path already
+          this.writeln(chalk.red(err.path ? err.message : `${redirect.path}: ${err.message}`));
+          return 1;
+        }
+
+        return code;
+      });
+    });
+
+    return Promise.all(results).then(codes => codes[codes.length - 1]);
+  }
+
+  _parseRedirect ({ text, append }) {
+    let env = assign({}, this.env, { '?': this.exitStatus });
+    let words = tokenize(text, env);
+
+    if (words.length !== 1) {
+      throw new SyntaxError(`${text.trim()}: ambiguous redirect`);
+    }
+
+    return { path: words[0], append };
+  }
+
+  /**
+   * Write the output of a redirected command. Files are kept in memory in
+   * `files`, keyed by path.
+   *
+   * @param {string} path
+   * @param {string} data
+   * @param {boolean} append - Add to the end of the file instead of
+   *   replacing it
+   */
+  writeFile (path, data, append) {
+    let previous = append && this.files[path] !== undefined ? this.files[path] : '';
+
+    this.files[path] = previous + data;
+  }
+
+  /**
+   * @param {string} path
+   *
+   * @throws {Error} When the file doesn't exist
+   *
+   * @return {string}
+   */
+  readFile (path) {
+    if (this.files[path] === undefined) {
+      throw new Error('No such file or directory');
+    }
+
+    return this.files[path];
+  }
+
+  /**
+   * End the session and report the exit status to the `onExit` callback of
+   * the config.
+   *
+   * @param {number} code
+   *
+   * @return {Promise}
+   */
   exit (code) {
-    //this.exited_ = true;
-    //this.options_.onExit(code);
-    console.log(code);
-    return this._readline.prompt();
-    //return Promise.resolve(code);
+    this.destroy();
+
+    if (isFunction(this._config.onExit)) {
+      this._config.onExit(code);
+    }
+
+    return Promise.resolve(code);
   }
 
   bound (method) {
@@ -73,7 +447,8 @@ export default class CommandClass {
   }
 
   parseLine (line) {
-    let [cmd, ...args] = Array.from(line.split(' ').map(arg => arg.trim()));
+    let env = assign({}, this.env, { '?': this.exitStatus });
+    let [cmd, ...args] = tokenize(line, env);
 
     return {
       cmd,
@@ -81,17 +456,641 @@ export default class CommandClass {
     }
   }
 
-  runCommand (cmd, args) {
-    if (!(cmd in __commands)) {
-      this._readline.output.write(`${cmd}: command not found\n`);
-      return this._readline.prompt();
+  /**
+   * Run a registered command. The handler is called with the arguments and a
+   * context holding an AbortSignal (`signal`) that fires on Ctrl+C, the
+   * command's input as a Readable (`stdin`) and where its output should go as
+   * a Writable (`stdout`). Output written to `stdout` can be piped into other
+   * commands or redirected to a file, while `write` and `writeln` always go
+   * to the terminal. Commands
+   * registered with an `args` or `options` schema receive their arguments
+   * parsed into an object, others the raw list of strings; a schema violation
+   * prints the usage instead of running the command.
+   *
+   * The handler may return a value or a Promise; a numeric result becomes the
+   * exit status, anything else counts as success and a thrown error or
+   * rejection is printed and counts as a failure. An interrupted command exits
+   * with 130 without waiting for the handler to settle.
+   *
+   * @param {string} cmd
+   * @param {string[]} args
+   * @param {Object} context - `signal`, `stdin` and `stdout` to run the
+   *   command with; by default it reads nothing, writes to the terminal and
+   *   is interrupted by Ctrl+C
+   *
+   * @return {Promise} Resolves with the exit status
+   */
+  runCommand (cmd, args, context) {
+    let command = this.getCommand(cmd);
+
+    if (!command) {
+      this.writeln(`${cmd}: command not found`);
+      return Promise.resolve(this._setExitStatus(127));
+    }
+
+    // `--` ends the options, so arguments after it are passed on as they are
+    let separator = args.indexOf('--');
+
+    if ((separator === -1 ? args : args.slice(0, separator)).indexOf('--help') !== -1) {
+      this.showHelp(command);
+      return Promise.resolve(this._setExitStatus(0));
+    }
+
+    let argv = args;
+
+    if (separator !== -1 && !command.args && !command.options) {
+      argv = args.slice(0, separator).concat(args.slice(separator + 1));
+    }
+
+    if (command.args || command.options) {
+      try {
+        argv = parseArguments(args, command);
+      } catch (err) {
+        this.writeln(chalk.red(`${command.name}: ${err.message}`));
+        this.writeln(`${chalk.bold('Usage:')} ${this.getUsage(command)}`);
+        return Promise.resolve(this._setExitStatus(2));
+      }
+    }
+
+    let handler = isFunction(command.method) ? command.method : this[command.method];
+
+    let controller = null;
+    let result;
+
+    if (!context || !context.signal) {
+      controller = createAbortController();
+      this._controller = controller;
+    }
+
+    let io = assign({
+      signal: controller && controller.signal,
+      stdout: new TerminalWriter(data => this.write(data)),
+    }, context);
+
+    if (!io.stdin) {
+      io.stdin = new PassThrough();
+      io.stdin.end();
+    }
+
+    let { signal } = io;
+
+    try {
+      result = Promise.resolve(handler.call(this, argv, io));
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+
+    let completed = result.then((value) => {
+      return isNumber(value) ? value : 0;
+    }, (err) => {
+      if (!signal.aborted) {
+        this.writeln(chalk.red(`${cmd}: ${err && err.message ? err.message : err}`));
+      }
+
+      return 1;
+    });
+
+    let interrupted = new Promise((resolve) => {
+      signal.addEventListener('abort', () => resolve(130));
+    });
+
+    return Promise.race([completed, interrupted]).then((code) => {
+      this.exitFullScreen();
+
+      if (controller && this._controller === controller) {
+        this._controller = null;
+      }
+
+      if (isFunction(this._config.onCommand)) {
+        this._config.onCommand(command.name, argv, code);
+      }
+
+      return this._setExitStatus(code);
+    });
+  }
+
+  /**
+   * Look up a command available to this instance.
+   *
+   * @param {string} name
+   *
+   * @return {Object|null} The command's registration, or null
+   */
+  getCommand (name) {
+    return this._commands[name] || null;
+  }
+
+  /**
+   * List the names and aliases of the commands available to this instance,
+   * leaving out hidden commands.
+   *
+   * @return {string[]}
+   */
+  getCommandNames () {
+    let names = [];
+
+    for (let name in this._commands) {
+      if (this._commands[name] && !this._commands[name].hidden) {
+        names.push(name);
+      }
     }
 
-    let res = new Promise((resolve) => {
-      this[__commands[cmd]](args);
+    return names.sort();
+  }
+
+  /**
+   * Register a command on this instance only, overriding any command of the
+   * same name registered on the class.
+   *
+   * @param {string} name
+   * @param {function|string} method - Handler, or the name of a method
+   * @param {Object} options - Same options as `add_command`
+   */
+  registerCommand (name, method, options) {
+    addToRegistry(this._commands, name, method, options);
+  }
+
+  /**
+   * Remove a command and its aliases from this instance. Other instances of
+   * the class are not affected.
+   *
+   * @param {string} name
+   */
+  unregisterCommand (name) {
+    let command = this.getCommand(name);
+
+    if (!command) return;
+
+    [command.name, ...(command.aliases || [])].forEach((alias) => {
+      if (this._commands[alias] === command) {
+        this._commands[alias] = null;
+      }
     });
-    
-    return this._readline.prompt();
+  }
+
+  /**
+   * Build the usage line of a command.
+   *
+   * @param {Object} command
+   *
+   * @return {string}
+   */
+  getUsage (command) {
+    if (command.usage) {
+      return command.usage;
+    }
+
+    let args = (command.args || []).map((arg) => {
+      let name = arg.variadic ? `${arg.name}...` : arg.name;
+
+      return arg.required ? `<${name}>` : `[${name}]`;
+    });
+
+    if (command.options && command.options.length > 0) {
+      args.unshift('[options]');
+    }
+
+    return [command.name, ...args].join(' ');
+  }
+
+  /**
+   * Write the help text of a command.
+   *
+   * @param {Object} command
+   */
+  showHelp (command) {
+    let lines = [`${chalk.bold('Usage:')} ${this.getUsage(command)}`];
+
+    if (command.description) {
+      lines.push('', command.description);
+    }
+
+    let describe = (spec) => {
+      let text = spec.description || '';
+
+      if (spec.default !== undefined) {
+        text += ` (default: ${spec.default})`;
+      }
+
+      return text.trim();
+    };
+
+    let args = (command.args || []).map((arg) => {
+      return [arg.name, describe(arg)];
+    }).filter(([name, text]) => text);
+
+    let options = (command.options || []).map((option) => {
+      let flags = option.alias ? `-${option.alias}, ` : '    ';
+
+      flags += `--${option.name}`;
+
+      if (option.type !== 'boolean') {
+        flags += ` <${option.type || 'string'}>`;
+      }
+
+      return [flags, describe(option)];
+    });
+
+    let width = Math.max(0, ...args.concat(options).map(([name]) => name.length)) + 2;
+    let section = (title, entries) => {
+      if (entries.length === 0) return;
+
+      lines.push('', chalk.bold(title));
+
+      entries.forEach(([name, text]) => {
+        lines.push(`  ${chalk.yellow(padEnd(name, width))}${text}`);
+      });
+    };
+
+    section('Arguments:', args);
+    section('Options:', options);
+
+    if (command.aliases && command.aliases.length > 0) {
+      lines.push('', `${chalk.bold('Aliases:')} ${command.aliases.join(', ')}`);
+    }
+
+    this.writeln(lines.join('\n'));
+  }
+
+  @add_command('help', {
+    description: 'Show the available commands or the help of one command',
+    args: [{ name: 'command', description: 'Command to describe' }],
+    complete: [function () { return this.getCommandNames(); }]
+  })
+  help (args) {
+    if (args.command) {
+      let command = this.getCommand(args.command);
+
+      if (!command) {
+        this.writeln(`help: no help topics match '${args.command}'`);
+        return 1;
+      }
+
+      this.showHelp(command);
+      return 0;
+    }
+
+    let commands = this.getCommandNames()
+      .filter(name => this.getCommand(name).name === name)
+      .map(name => this.getCommand(name));
+
+    let width = Math.max(...commands.map(command => command.name.length)) + 2;
+    let lines = [chalk.bold('Available commands:'), ''];
+
+    commands.forEach((command) => {
+      lines.push(`  ${chalk.green(padEnd(command.name, width))}${command.description || ''}`);
+    });
+
+    lines.push('', `Type ${chalk.green('help <command>')} or ${chalk.green('<command> --help')} for details.`);
+
+    this.writeln(lines.join('\n'));
+    return 0;
+  }
+
+  @add_command('history', {
+    description: 'Show or clear the command history',
+    args: [{ name: 'count', type: 'number', description: 'Only show the most recent entries' }],
+    options: [{ name: 'clear', alias: 'c', type: 'boolean', description: 'Clear the history' }]
+  })
+  history ({ count, clear }) {
+    if (clear) {
+      this._readline.clearHistory();
+      return 0;
+    }
+
+    let entries = this._readline.history.slice().reverse();
+    let start = count === undefined ? 0 : Math.max(0, entries.length - count);
+    let width = String(entries.length).length;
+
+    entries.slice(start).forEach((entry, i) => {
+      this.writeln(`  ${padStart(String(start + i + 1), width)}  ${entry}`);
+    });
+
+    return 0;
+  }
+
+  _setExitStatus (code) {
+    this.exitStatus = code;
+
+    return code;
+  }
+
+  /**
+   * Tell whether the input typed so far needs more lines before it can run,
+   * asking the `incomplete` option of the command it starts with. Lines
+   * ending with a backslash or an open quote are continued regardless.
+   *
+   * @param {string} line
+   *
+   * @return {boolean}
+   */
+  isIncomplete (line) {
+    let [cmd] = line.trim().split(/\s+/);
+    let command = this.getCommand(cmd);
+
+    return !!(command && isFunction(command.incomplete) && command.incomplete.call(this, line));
+  }
+
+  /**
+   * Suggest how the input typed so far could go on, shown dimmed after the
+   * cursor. The `suggest` option of the command it starts with is asked
+   * first, then the most recent history entry starting with it is used.
+   *
+   * @param {string} line
+   *
+   * @return {string|undefined} The whole suggested line
+   */
+  suggest (line) {
+    let [cmd] = line.trim().split(/\s+/);
+    let command = this.getCommand(cmd);
+    let suggestion = command && isFunction(command.suggest) ? command.suggest.call(this, line) : undefined;
+
+    return suggestion || this._readline.suggestFromHistory(line);
+  }
+
+  /**
+   * Color the line being edited: known commands green, unknown ones red,
+   * flags cyan and quoted strings yellow. Subclasses can override this to
+   * highlight differently; the text itself must be left unchanged.
+   *
+   * @param {string} line
+   *
+   * @return {string}
+   */
+  highlight (line) {
+    let commandNext = true;
+
+    return scanCommandLine(line).map(({ type, text, parts }) => {
+      if (type === 'space') {
+        return text;
+      }
+
+      if (type === 'operator') {
+        // Redirection targets are files, anything else starts a new command
+        commandNext = text[0] !== '>';
+        return text;
+      }
+
+      if (commandNext) {
+        commandNext = false;
+
+        let name = parts.map(part => (part.quoted ? part.text.slice(1, -1) : part.text)).join('');
+
+        return this.getCommand(name) ? chalk.green(text) : chalk.red(text);
+      }
+
+      if (text[0] === '-') {
+        return chalk.cyan(text);
+      }
+
+      return parts.map(part => (part.quoted ? chalk.yellow(part.text) : part.text)).join('');
+    }).join('');
+  }
+
+  /**
+   * Tab completion for the Readline. The first word completes against the
+   * registered command names, later words use the `complete` option the
+   * command was registered with.
+   *
+   * @param {string} line - Text before the cursor
+   * @param {function} callback - Called with [completions, completedText]
+   */
+  complete (line, callback) {
+    // Complete the last command of a pipeline or chain
+    let segment = line.split(/\|\||&&|[|;]/).pop();
+    let [cmd, ...args] = segment.replace(/^\s+/, '').split(/\s+/);
+    let finish = (candidates, partial) => {
+      let hits = (candidates || []).filter(c => c.startsWith(partial)).sort();
+
+      // A single directory is left open so completion can continue inside it
+      let single = hits.length === 1 && !hits[0].endsWith('/');
+
+      callback(null, [single ? [`${hits[0]} `] : hits, partial]);
+    };
+
+    if (args.length === 0) {
+      return finish(this.getCommandNames(), cmd);
+    }
+
+    let partial = args.pop();
+    let command = this.getCommand(cmd);
+    let completer = command ? command.complete : null;
+
+    if (Array.isArray(completer)) {
+      completer = completer[args.length];
+    }
+
+    if (Array.isArray(completer)) {
+      return finish(completer, partial);
+    }
+
+    if (!isFunction(completer)) {
+      return finish([], partial);
+    }
+
+    Promise.resolve(completer.call(this, partial, args)).then(
+      candidates => finish(candidates, partial),
+      err => callback(err)
+    );
+  }
+
+  /**
+   * Submit a line as if the user typed it at the prompt. When a command is
+   * running the line is submitted once it has finished.
+   *
+   * @param {string} line
+   *
+   * @return {Promise} Resolves with the exit status of the line
+   */
+  submit (line) {
+    if (!this._readline || this._destroyed) {
+      return Promise.reject(new Error('The session is not running.'));
+    }
+
+    if (this._running) {
+      return this._running.then(() => this.submit(line));
+    }
+
+    this._readline.submit(line);
+
+    return Promise.resolve(this._running).then(() => this.exitStatus);
+  }
+
+  /**
+   * Write output that doesn't come from a command, e.g. log lines pushed by
+   * the host page. At an idle prompt the output goes above the prompt and
+   * the line being edited.
+   *
+   * @param {string} input
+   */
+  print (input) {
+    if (!this._readline || this._destroyed) return;
+
+    if (this._running) {
+      this.write(input);
+    } else {
+      this._readline.printAbove(input);
+    }
+  }
+
+  /**
+   * Clear the screen, redrawing the prompt at an idle prompt.
+   */
+  clear () {
+    if (!this._readline || this._destroyed) return;
+
+    if (this._running) {
+      this.write('\x1b[H\x1b[2J');
+    } else {
+      this._readline.clearScreen();
+    }
+  }
+
+  /**
+   * Change the prompt, redrawing it at an idle prompt.
+   *
+   * @param {string} prompt
+   */
+  setPrompt (prompt) {
+    this.prompt = prompt;
+
+    if (!this._readline || this._destroyed) return;
+
+    this._readline.setPrompt(this.renderPrompt(prompt));
+
+    if (!this._running) {
+      this._readline.prompt(true);
+    }
+  }
+
+  /**
+   * Switch the line editor between emacs and vi key bindings.
+   *
+   * @param {string} mode - 'emacs' or 'vi'
+   */
+  setEditMode (mode) {
+    this._config.editMode = mode;
+
+    if (this._readline && !this._destroyed) {
+      this._readline.setEditMode(mode);
+    }
+  }
+
+  /**
+   * Replace the line editor's key bindings.
+   *
+   * @param {Keymap|Object|string} keymap - See Readline#setKeymap
+   */
+  setKeymap (keymap) {
+    this._config.keymap = keymap;
+
+    if (this._readline && !this._destroyed) {
+      this._readline.setKeymap(keymap);
+    }
+  }
+
+  /**
+   * Turn the prompt into the text shown by the Readline. Subclasses can
+   * override this to fill in placeholders, such as the current directory.
+   *
+   * @param {string} prompt
+   *
+   * @return {string}
+   */
+  renderPrompt (prompt) {
+    return prompt;
+  }
+
+  /**
+   * @return {string[]} The history entries, most recent first
+   */
+  getHistory () {
+    return this._readline ? this._readline.history.slice() : [];
+  }
+
+  /**
+   * Accept or ignore keyboard input.
+   *
+   * @param {boolean} enabled
+   */
+  setInputEnabled (enabled) {
+    if (this._input) {
+      this._input.enabled = !!enabled;
+    }
+  }
+
+  /**
+   * Tell the output stream, and so the Readline and any running command
+   * listening on it, that the terminal has a new size.
+   *
+   * @param {number} columns
+   * @param {number} rows
+   */
+  resize (columns, rows) {
+    if (this._output) {
+      this._output.resize(columns, rows);
+    }
+
+    if (this._screen) {
+      this._screen.output.resize(columns, rows);
+    }
+
+    if (isFunction(this._config.onResize)) {
+      this._config.onResize(columns, rows);
+    }
+  }
+
+  /**
+   * Hand the terminal over to a full-screen application, such as one built
+   * with blessed. The Readline is suspended and the alternate screen is
+   * shown; output written to the session in the meantime is held back until
+   * `exitFullScreen` restores the prompt and the scrollback. Full-screen mode
+   * also ends when the command that entered it finishes.
+   *
+   * @return {Object}
+   * @property {Readable} input - Raw keystrokes and mouse reports
+   * @property {Writable} output - Output with the size of the terminal
+   */
+  enterFullScreen () {
+    if (this._screen) {
+      return this._screen;
+    }
+
+    let io = this._hterm.io.push();
+    let input = new InputStream(io);
+    let output = new OutputStream(io);
+
+    io.onTerminalResize = (columns, rows) => this.resize(columns, rows);
+
+    if (this._readline) {
+      this._readline.pause();
+    }
+
+    this._screen = { io, input, output };
+
+    io.writeUTF8(ENTER_ALTERNATE_SCREEN);
+
+    return this._screen;
+  }
+
+  /**
+   * Leave full-screen mode, undoing any terminal modes the application left
+   * behind, and give the terminal back to the Readline.
+   */
+  exitFullScreen () {
+    let screen = this._screen;
+
+    if (!screen) return;
+
+    this._screen = null;
+
+    screen.input.detach();
+    screen.io.writeUTF8(EXIT_ALTERNATE_SCREEN);
+    screen.io.pop();
+
+    if (this._readline) {
+      this._readline.resume();
+    }
   }
 
   writeln (input) {
@@ -110,16 +1109,6 @@ export default class CommandClass {
 
 }
 
-let add_command = (target, key) => {
-  if (!key) {
-    return (_target, _key) => {
-      __commands[target] = _key;
-    };
-  }
-
-  __commands[key] = key;
-};
-
 export {
   CommandClass,
   add_command
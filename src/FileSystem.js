@@ -0,0 +1,290 @@
+import { cloneDeep, isPlainObject, isString } from 'lodash';
+
+/**
+ * In-memory virtual filesystem.
+ *
+ * The tree is kept in the same shape it is imported and exported as JSON:
+ * a directory is an object mapping names to entries and a file is a string
+ * holding its content.
+ *
+ *   { "etc": { "motd": "Welcome!\n" }, "home": {} }
+ *
+ * Paths are absolute or relative to the root and use `/` as the separator.
+ */
+
+const STORAGE_KEY = 'react-term:fs';
+
+const MESSAGES = {
+  ENOENT: 'No such file or directory',
+  ENOTDIR: 'Not a directory',
+  EISDIR: 'Is a directory',
+  EEXIST: 'File exists',
+};
+
+/**
+ * @param {string} code - One of the keys of MESSAGES
+ * @param {string} path
+ *
+ * @return {Error} Error with the code in `code`, like Node's fs errors
+ */
+function fsError (code, path) {
+  let error = new Error(`${path}: ${MESSAGES[code]}`);
+
+  error.code = code;
+  error.path = path;
+
+  return error;
+}
+
+/**
+ * Resolve `.` and `..` segments and duplicate separators.
+ *
+ * @param {string} path
+ * @param {string} cwd - Directory relative paths start from
+ *
+ * @return {string} Absolute path
+ */
+export function normalize (path, cwd) {
+  let absolute = path[0] === '/' ? path : `${cwd || '/'}/${path}`;
+  let parts = [];
+
+  absolute.split('/').forEach((part) => {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '' && part !== '.') {
+      parts.push(part);
+    }
+  });
+
+  return `/${parts.join('/')}`;
+}
+
+function hasEntry (dir, name) {
+  return Object.prototype.hasOwnProperty.call(dir, name);
+}
+
+export default class FileSystem {
+  /**
+   * @param {Object} options
+   * @param {Object} options.files - Initial tree, in the JSON format
+   * @param {Storage} options.storage - Web Storage, e.g. window.localStorage,
+   *   to persist the tree in; a tree found there replaces `files`
+   * @param {string} options.key - Key to persist the tree under
+   */
+  constructor (options = {}) {
+    this.storage = options.storage || null;
+    this.key = options.key || STORAGE_KEY;
+    this.root = isPlainObject(options.files) ? cloneDeep(options.files) : {};
+
+    if (this.storage) {
+      try {
+        let stored = JSON.parse(this.storage.getItem(this.key));
+
+        if (isPlainObject(stored)) {
+          this.root = stored;
+        }
+      } catch (err) {
+        // Keep the initial tree when the stored one is unreadable
+      }
+    }
+  }
+
+  /**
+   * Find the entry at a path.
+   *
+   * @param {string} path
+   *
+   * @return {Object|string|undefined}
+   */
+  _lookup (path) {
+    let entry = this.root;
+    let parts = normalize(path).split('/').slice(1).filter(Boolean);
+
+    for (let i = 0; i < parts.length; i += 1) {
+      if (!isPlainObject(entry) || !hasEntry(entry, parts[i])) {
+        return undefined;
+      }
+
+      entry = entry[parts[i]];
+    }
+
+    return entry;
+  }
+
+  /**
+   * Find the directory an entry at `path` lives in.
+   *
+   * @param {string} path
+   *
+   * @throws {Error} ENOENT or ENOTDIR when the directory doesn't exist
+   *
+   * @return {Object}
+   * @property {Object} dir
+   * @property {string} name
+   */
+  _parent (path) {
+    let absolute = normalize(path);
+    let index = absolute.lastIndexOf('/');
+    let dirPath = absolute.slice(0, index) || '/';
+    let dir = this._lookup(dirPath);
+
+    if (dir === undefined) {
+      throw fsError('ENOENT', dirPath);
+    }
+
+    if (!isPlainObject(dir)) {
+      throw fsError('ENOTDIR', dirPath);
+    }
+
+    return { dir, name: absolute.slice(index + 1) };
+  }
+
+  exists (path) {
+    return this._lookup(path) !== undefined;
+  }
+
+  isDirectory (path) {
+    return isPlainObject(this._lookup(path));
+  }
+
+  isFile (path) {
+    return isString(this._lookup(path));
+  }
+
+  /**
+   * @param {string} path
+   *
+   * @throws {Error} ENOENT or EISDIR
+   *
+   * @return {string}
+   */
+  readFile (path) {
+    let entry = this._lookup(path);
+
+    if (entry === undefined) {
+      throw fsError('ENOENT', path);
+    }
+
+    if (!isString(entry)) {
+      throw fsError('EISDIR', path);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Create or replace a file.
+   *
+   * @param {string} path
+   * @param {string} data
+   * @param {boolean} append - Add to the end of an existing file instead
+   *
+   * @throws {Error} ENOENT, ENOTDIR or EISDIR
+   */
+  writeFile (path, data, append) {
+    let { dir, name } = this._parent(path);
+
+    if (!name || isPlainObject(dir[name])) {
+      throw fsError('EISDIR', path);
+    }
+
+    dir[name] = append && hasEntry(dir, name) ? dir[name] + data : String(data);
+    this.save();
+  }
+
+  /**
+   * @param {string} path
+   * @param {boolean} parents - Create missing parents, and don't fail when
+   *   the directory exists
+   *
+   * @throws {Error} ENOENT, ENOTDIR or EEXIST
+   */
+  mkdir (path, parents) {
+    if (parents) {
+      let current = '';
+
+      let parts = normalize(path).split('/').filter(Boolean);
+
+      parts.forEach((part) => {
+        current += `/${part}`;
+
+        if (!this.isDirectory(current)) {
+          this.mkdir(current, false);
+        }
+      });
+
+      return;
+    }
+
+    let { dir, name } = this._parent(path);
+
+    if (!name || hasEntry(dir, name)) {
+      throw fsError('EEXIST', path);
+    }
+
+    dir[name] = {};
+    this.save();
+  }
+
+  /**
+   * @param {string} path
+   *
+   * @throws {Error} ENOENT or ENOTDIR
+   *
+   * @return {string[]} Names of the entries, sorted
+   */
+  readdir (path) {
+    let entry = this._lookup(path);
+
+    if (entry === undefined) {
+      throw fsError('ENOENT', path);
+    }
+
+    if (!isPlainObject(entry)) {
+      throw fsError('ENOTDIR', path);
+    }
+
+    return Object.keys(entry).sort();
+  }
+
+  /**
+   * Replace the whole tree.
+   *
+   * @param {Object} files - Tree in the JSON format
+   *
+   * @throws {TypeError} When the tree isn't an object
+   */
+  load (files) {
+    if (!isPlainObject(files)) {
+      throw new TypeError('The tree must be an object.');
+    }
+
+    this.root = cloneDeep(files);
+    this.save();
+  }
+
+  /**
+   * @return {Object} Copy of the tree in the JSON format
+   */
+  toJSON () {
+    return cloneDeep(this.root);
+  }
+
+  /**
+   * Persist the tree, if a storage was given. Failures, such as a full
+   * storage, leave the tree in memory only.
+   */
+  save () {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.root));
+    } catch (err) {
+      // Keep working in memory
+    }
+  }
+}
+
+export {
+  FileSystem,
+};
@@ -0,0 +1,202 @@
+import chalk from 'chalk';
+import { add_command } from './CommandClass';
+import { FileSystem, normalize } from './FileSystem';
+import { readAll } from './Stream';
+
+function completePath (partial) {
+  return this.completePath(partial);
+}
+
+/**
+ * Add a virtual filesystem and the standard commands working on it (`ls`,
+ * `cd`, `pwd`, `cat`, `mkdir` and `echo`) to a CommandClass:
+ *
+ *   class Shell extends withFileSystem(CommandClass) { ... }
+ *
+ * The filesystem is taken from the `fs` config, either a FileSystem or the
+ * options to create one with. Output redirected with `>` goes to files in
+ * it, and `\w` in the prompt shows the current directory.
+ *
+ * @param {function} Base - CommandClass or a subclass of it
+ *
+ * @return {function}
+ */
+export default function withFileSystem (Base) {
+  class FileSystemShell extends Base {
+    constructor () {
+      super(...arguments);
+
+      let fs = this._config.fs;
+
+      this.fs = fs instanceof FileSystem ? fs : new FileSystem(fs);
+      this.cwd = '/';
+      this.prompt = '\\w $ ';
+
+      this.env.HOME = this.env.HOME || '/';
+      this.env.PWD = this.cwd;
+    }
+
+    /**
+     * Resolve a path against the current directory, expanding a leading `~`
+     * to $HOME.
+     *
+     * @param {string} path
+     *
+     * @return {string} Absolute path
+     */
+    resolvePath (path) {
+      let expanded = path;
+
+      if (path === '~' || path.startsWith('~/')) {
+        expanded = this.env.HOME + path.slice(1);
+      }
+
+      return normalize(expanded, this.cwd);
+    }
+
+    renderPrompt (prompt) {
+      let home = normalize(this.env.HOME || '/');
+      let cwd = this.cwd;
+
+      if (home !== '/' && (cwd === home || cwd.startsWith(`${home}/`))) {
+        cwd = `~${cwd.slice(home.length)}`;
+      }
+
+      return super.renderPrompt(prompt).replace(/\\w/g, cwd);
+    }
+
+    writeFile (path, data, append) {
+      this.fs.writeFile(this.resolvePath(path), data, append);
+    }
+
+    readFile (path) {
+      return this.fs.readFile(this.resolvePath(path));
+    }
+
+    /**
+     * Complete a partial path to the entries of its directory. Directories
+     * end with `/`, so completion can continue inside them.
+     *
+     * @param {string} partial
+     *
+     * @return {string[]}
+     */
+    completePath (partial) {
+      let index = partial.lastIndexOf('/');
+      let dirPart = partial.slice(0, index + 1);
+      let dir = this.resolvePath(dirPart || '.');
+
+      if (!this.fs.isDirectory(dir)) {
+        return [];
+      }
+
+      return this.fs.readdir(dir).map((name) => {
+        let isDirectory = this.fs.isDirectory(normalize(name, dir));
+
+        return `${dirPart}${name}${isDirectory ? '/' : ''}`;
+      });
+    }
+
+    @add_command('pwd', { description: 'Print the current directory' })
+    pwd (args, { stdout }) {
+      stdout.write(`${this.cwd}\n`);
+    }
+
+    @add_command('cd', {
+      description: 'Change the current directory',
+      args: [{ name: 'dir', description: 'Directory, $HOME by default' }],
+      complete: completePath
+    })
+    cd ({ dir }) {
+      let path = this.resolvePath(dir === undefined ? '~' : dir);
+
+      // Throws unless the path is a directory
+      this.fs.readdir(path);
+
+      this.cwd = path;
+      this.env.PWD = path;
+      this.setPrompt(this.prompt);
+    }
+
+    @add_command('ls', {
+      description: 'List directory contents',
+      args: [{ name: 'paths', variadic: true, description: 'Files or directories' }],
+      options: [
+        { name: 'all', alias: 'a', type: 'boolean', description: 'Include entries starting with .' }
+      ],
+      complete: completePath
+    })
+    ls ({ paths, all }, { stdout }) {
+      let targets = paths.length > 0 ? paths : ['.'];
+
+      let format = (entries, dir) => {
+        let names = dir ? entries.filter(name => all || name[0] !== '.') : entries;
+
+        if (!stdout.isTTY) {
+          return names.map(name => `${name}\n`).join('');
+        }
+
+        let colored = names.map((name) => {
+          return dir && this.fs.isDirectory(normalize(name, dir)) ? chalk.bold.blue(name) : name;
+        });
+
+        return colored.length > 0 ? `${colored.join('  ')}\n` : '';
+      };
+
+      targets.forEach((path, i) => {
+        let resolved = this.resolvePath(path);
+
+        if (this.fs.isFile(resolved)) {
+          stdout.write(format([path]));
+          return;
+        }
+
+        let names = this.fs.readdir(resolved);
+
+        if (targets.length > 1) {
+          stdout.write(`${i > 0 ? '\n' : ''}${path}:\n`);
+        }
+
+        stdout.write(format(names, resolved));
+      });
+    }
+
+    @add_command('cat', {
+      description: 'Print files, or the input when none are given',
+      args: [{ name: 'files', variadic: true, description: 'Files to print' }],
+      complete: completePath
+    })
+    cat ({ files }, { stdin, stdout }) {
+      if (files.length === 0) {
+        return readAll(stdin).then(data => stdout.write(data));
+      }
+
+      files.forEach(file => stdout.write(this.readFile(file)));
+    }
+
+    @add_command('mkdir', {
+      description: 'Create directories',
+      args: [{ name: 'dirs', variadic: true, required: true, description: 'Directories to create' }],
+      options: [
+        { name: 'parents', alias: 'p', type: 'boolean', description: 'Create missing parents as well' }
+      ],
+      complete: completePath
+    })
+    mkdir ({ dirs, parents }) {
+      dirs.forEach(dir => this.fs.mkdir(this.resolvePath(dir), parents));
+    }
+
+    @add_command('echo', { description: 'Print the arguments, -n to leave out the newline' })
+    echo (args, { stdout }) {
+      let newline = args[0] !== '-n';
+
+      stdout.write(`${args.slice(newline ? 0 : 1).join(' ')}${newline ? '\n' : ''}`);
+    }
+  }
+
+  return FileSystemShell;
+}
+
+export {
+  withFileSystem,
+};
@@ -0,0 +1,73 @@
+/**
+ * History storage adapters.
+ *
+ * An adapter persists the history of a Readline under a key. It implements
+ * `load(key)`, returning the entries newest first, and `save(key, entries)`.
+ * Either may return a Promise, so adapters can sync history with a server.
+ */
+
+const KEY_PREFIX = 'react-term:history:';
+
+/**
+ * Keeps history in memory only. Useful for tests, or to share history
+ * between terminals for the lifetime of the page.
+ */
+export class MemoryStorage {
+  constructor () {
+    this.entries = {};
+  }
+
+  load (key) {
+    return (this.entries[key] || []).slice();
+  }
+
+  save (key, entries) {
+    this.entries[key] = entries.slice();
+  }
+}
+
+/**
+ * Keeps history in the browser's localStorage as JSON.
+ */
+export class LocalStorage {
+  /**
+   * @param {Storage} storage - Web Storage to use, window.localStorage by default
+   * @param {string} prefix - Prefix for the storage keys
+   */
+  constructor (storage, prefix) {
+    this.storage = storage || window.localStorage;
+    this.prefix = prefix === undefined ? KEY_PREFIX : prefix;
+  }
+
+  load (key) {
+    try {
+      let entries = JSON.parse(this.storage.getItem(this.prefix + key));
+
+      return Array.isArray(entries) ? entries : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  save (key, entries) {
+    this.storage.setItem(this.prefix + key, JSON.stringify(entries));
+  }
+}
+
+/**
+ * Create the default adapter: localStorage where the environment has it,
+ * memory otherwise.
+ *
+ * @return {Object}
+ */
+export function createDefaultStorage () {
+  let hasLocalStorage = false;
+
+  try {
+    hasLocalStorage = typeof window !== 'undefined' && !!window.localStorage;
+  } catch (err) {
+    // Accessing localStorage throws when storage is disabled
+  }
+
+  return hasLocalStorage ? new LocalStorage() : new MemoryStorage();
+}
@@ -0,0 +1,431 @@
+import { assign, isFunction, isPlainObject, isString } from 'lodash';
+
+/**
+ * Key bindings for the Readline.
+ *
+ * Keys are described as modifiers and a key name joined by `+`, such as
+ * `ctrl+a`, `meta+b`, `ctrl+shift+backspace` or `f5`. Names are the ones
+ * produced by the keypress decoder (`return`, `tab`, `left`, `pagedown`, ...)
+ * and a single uppercase letter stands for `shift+` the lowercase one. The
+ * inputrc spellings `C-a`, `Control-a`, `M-b`, `Meta-Rubout` are accepted as
+ * well. Sequences of keys, such as `ctrl+x ctrl+u`, are separated by spaces.
+ *
+ * Each key is bound to the name of one of the ACTIONS or to a function called
+ * as `action(rl, data, key)`. Keys without a binding insert their text, unless
+ * they are pressed with Ctrl or Meta.
+ */
+
+const MODIFIERS = {
+  c: 'ctrl',
+  ctrl: 'ctrl',
+  control: 'ctrl',
+  m: 'meta',
+  meta: 'meta',
+  alt: 'meta',
+  s: 'shift',
+  shift: 'shift',
+};
+
+// inputrc key names that differ from the keypress decoder's
+const KEY_NAMES = {
+  esc: 'escape',
+  rubout: 'backspace',
+  del: 'delete',
+  ret: 'return',
+  newline: 'enter',
+  lfd: 'enter',
+  spc: 'space',
+  ' ': 'space',
+};
+
+// Escapes allowed in quoted inputrc key sequences
+const SEQUENCE_ESCAPES = {
+  '\\\\': '\\',
+  '\\"': '"',
+  '\\\'': '\'',
+  '\\e': 'escape',
+  '\\t': 'tab',
+  '\\r': 'return',
+  '\\n': 'enter',
+};
+
+// Returned by `lookup` for keys that start a longer sequence
+export const PREFIX = Symbol('prefix');
+
+export const ACTIONS = {
+  'self-insert': (rl, data) => rl._selfInsert(data),
+
+  'bracketed-paste-begin': (rl, data) => rl._paste(data),
+
+  'accept-line': (rl, data, key) => rl._acceptReturn(key),
+
+  interrupt: (rl) => {
+    if (rl.listenerCount('SIGINT') > 0) {
+      rl.emit('SIGINT');
+    } else {
+      rl.close();
+    }
+  },
+
+  'delete-char-or-eof': (rl) => {
+    if (rl.cursor === 0 && rl.line.length === 0) {
+      rl.close();
+    } else if (rl.cursor < rl.line.length) {
+      rl._deleteRight();
+    }
+  },
+
+  'delete-char': rl => rl._deleteRight(),
+  'backward-delete-char': rl => rl._deleteLeft(),
+  'kill-word': rl => rl._deleteWordRight(),
+  'backward-kill-word': rl => rl._deleteWordLeft(),
+  'kill-line': rl => rl._deleteLineRight(),
+  'backward-kill-line': rl => rl._deleteLineLeft(),
+
+  'unix-line-discard': rl => rl._kill(0, rl.line.length, true),
+  yank: rl => rl._yank(),
+  'yank-pop': rl => rl._yankPop(),
+  undo: rl => rl._undo(),
+  redo: rl => rl._redo(),
+
+  'beginning-of-line': rl => rl._moveCursor(-Infinity),
+  'backward-char': rl => rl._moveCursor(-1),
+  'backward-word': rl => rl._wordLeft(),
+
+  // At the end of the line, moving forward accepts the autosuggestion
+  'end-of-line': (rl) => {
+    if (!rl._acceptSuggestion()) rl._moveCursor(+Infinity);
+  },
+
+  'forward-char': (rl) => {
+    if (!rl._acceptSuggestion()) rl._moveCursor(+1);
+  },
+
+  'forward-word': (rl) => {
+    if (!rl._acceptSuggestion(true)) rl._wordRight();
+  },
+
+  'previous-history': rl => rl._historyPrev(),
+  'next-history': rl => rl._historyNext(),
+  'previous-line-or-history': rl => rl._previousLine(),
+  'next-line-or-history': rl => rl._nextLine(),
+  'reverse-search-history': rl => rl._startSearch(+1),
+  'forward-search-history': rl => rl._startSearch(-1),
+  'clear-screen': rl => rl.clearScreen(),
+
+  complete: (rl, data, key, previousKey) => {
+    if (typeof rl.completer === 'function' && rl.isCompletionEnabled) {
+      rl._tabComplete(!!previousKey && previousKey.name === 'tab');
+    }
+  },
+};
+
+export const DEFAULT_BINDINGS = {
+  return: 'accept-line',
+  enter: 'accept-line',
+  tab: 'complete',
+  paste: 'bracketed-paste-begin',
+  backspace: 'backward-delete-char',
+  delete: 'delete-char',
+  left: 'backward-char',
+  right: 'forward-char',
+  home: 'beginning-of-line',
+  end: 'end-of-line',
+  up: 'previous-line-or-history',
+  down: 'next-line-or-history',
+  'ctrl+a': 'beginning-of-line',
+  'ctrl+b': 'backward-char',
+  'ctrl+c': 'interrupt',
+  'ctrl+d': 'delete-char-or-eof',
+  'ctrl+e': 'end-of-line',
+  'ctrl+f': 'forward-char',
+  'ctrl+h': 'backward-delete-char',
+  'ctrl+k': 'kill-line',
+  'ctrl+l': 'clear-screen',
+  'ctrl+n': 'next-history',
+  'ctrl+p': 'previous-history',
+  'ctrl+r': 'reverse-search-history',
+  'ctrl+s': 'forward-search-history',
+  'ctrl+u': 'unix-line-discard',
+  'ctrl+w': 'backward-kill-word',
+  'ctrl+y': 'yank',
+  'ctrl+_': 'undo',
+  'ctrl+x ctrl+u': 'undo',
+  'ctrl+meta+_': 'redo',
+  'ctrl+backspace': 'backward-kill-word',
+  'ctrl+delete': 'kill-word',
+  'ctrl+left': 'backward-word',
+  'ctrl+right': 'forward-word',
+  'ctrl+shift+backspace': 'backward-kill-line',
+  'ctrl+shift+delete': 'kill-line',
+  'meta+b': 'backward-word',
+  'meta+f': 'forward-word',
+  'meta+d': 'kill-word',
+  'meta+delete': 'kill-word',
+  'meta+backspace': 'backward-kill-word',
+  'meta+y': 'yank-pop',
+};
+
+function hasBinding (bindings, descriptor) {
+  return Object.prototype.hasOwnProperty.call(bindings, descriptor);
+}
+
+function normalizeStroke (stroke, descriptor) {
+  // Split on separators that aren't the key itself, as in `ctrl+-`
+  let parts = stroke.split(/[+-](?=.)/);
+  let name = parts.pop();
+  let modifiers = {};
+
+  parts.forEach((part) => {
+    let modifier = MODIFIERS[part.toLowerCase()];
+
+    if (!modifier) {
+      throw new TypeError(`Unknown modifier '${part}' in '${descriptor}'.`);
+    }
+
+    modifiers[modifier] = true;
+  });
+
+  if (!name) {
+    throw new TypeError(`Missing key name in '${descriptor}'.`);
+  }
+
+  if (name.length === 1 && name !== name.toLowerCase()) {
+    modifiers.shift = true;
+  }
+
+  name = name.toLowerCase();
+  name = KEY_NAMES[name] || name;
+
+  return ['ctrl', 'meta', 'shift']
+    .filter(modifier => modifiers[modifier])
+    .concat(name)
+    .join('+');
+}
+
+/**
+ * Bring a key descriptor to its canonical form, with the modifiers in the
+ * order ctrl, meta, shift and a lowercase key name.
+ *
+ * @param {string} descriptor - E.g. `ctrl+a`, `C-a`, `Meta-Rubout` or
+ *   `ctrl+x ctrl+u`
+ *
+ * @throws {TypeError} For unknown modifiers and empty descriptors
+ *
+ * @return {string}
+ */
+export function normalizeKey (descriptor) {
+  let keys = String(descriptor).trim().split(/\s+/);
+
+  return keys.map(key => normalizeStroke(key, descriptor)).join(' ');
+}
+
+/**
+ * @param {Object} key - Key as emitted with keypress events
+ *
+ * @return {string|null} Canonical descriptor of the key, or null if it has
+ *   no name, such as pasted text
+ */
+export function keyDescriptor (key) {
+  let name = key.name;
+  let ctrl = key.ctrl;
+
+  // Punctuation has no name, only the sequence, possibly after an escape
+  if (!name && key.sequence && key.sequence.length <= 2) {
+    name = key.sequence[key.sequence.length - 1];
+
+    // Ctrl with \ ] ^ and _ gives the control characters after ctrl+z
+    let code = name.charCodeAt(0);
+
+    if (code >= 0x1c && code <= 0x1f) {
+      name = String.fromCharCode(code + 0x40);
+      ctrl = true;
+    }
+  }
+
+  if (!name) return null;
+
+  return ['ctrl', 'meta', 'shift']
+    .filter(modifier => (modifier === 'ctrl' ? ctrl : key[modifier]))
+    .concat(KEY_NAMES[name] || name)
+    .join('+');
+}
+
+/**
+ * Turn a quoted inputrc key sequence, such as `\C-a`, `\eb` or `\C-x\C-u`,
+ * into a key descriptor.
+ *
+ * @param {string} sequence - Sequence without the quotes
+ *
+ * @throws {SyntaxError} For escapes that aren't supported
+ *
+ * @return {string}
+ */
+function parseSequence (sequence) {
+  let keys = [];
+  let rest = sequence;
+
+  while (rest.length > 0) {
+    let modifiers = [];
+
+    for (;;) {
+      if (/^\\[CM]-./.test(rest)) {
+        modifiers.push(rest[1] === 'C' ? 'ctrl' : 'meta');
+        rest = rest.slice(3);
+      } else if (rest.startsWith('\\e') && rest.length > 2) {
+        modifiers.push('meta');
+        rest = rest.slice(2);
+      } else {
+        break;
+      }
+    }
+
+    let name = SEQUENCE_ESCAPES[rest.slice(0, 2)];
+
+    if (name) {
+      rest = rest.slice(2);
+    } else if (rest[0] !== '\\') {
+      name = KEY_NAMES[rest[0]] || rest[0];
+      rest = rest.slice(1);
+    } else {
+      throw new SyntaxError(`unsupported key sequence "${sequence}"`);
+    }
+
+    keys.push(modifiers.concat(name).join('+'));
+  }
+
+  return keys.join(' ');
+}
+
+export default class Keymap {
+  /**
+   * @param {Object|string} bindings - Bindings to apply over the defaults,
+   *   either as an object mapping key descriptors to actions or in the
+   *   inputrc format accepted by `load`
+   */
+  constructor (bindings) {
+    this.bindings = assign({}, DEFAULT_BINDINGS);
+    this.variables = {};
+
+    if (isString(bindings)) {
+      this.load(bindings);
+    } else if (bindings) {
+      this.bind(bindings);
+    }
+  }
+
+  /**
+   * Bind a key, or several given as an object.
+   *
+   * @param {string|Object} descriptor
+   * @param {string|function|null} action - Name of one of the ACTIONS, a
+   *   function, or null to unbind the key
+   *
+   * @throws {TypeError} For unknown actions and malformed descriptors
+   *
+   * @return {Keymap}
+   */
+  bind (descriptor, action) {
+    if (isPlainObject(descriptor)) {
+      Object.keys(descriptor).forEach(key => this.bind(key, descriptor[key]));
+      return this;
+    }
+
+    if (action != null && !isFunction(action) && !hasBinding(ACTIONS, action)) {
+      throw new TypeError(`Unknown action '${action}'.`);
+    }
+
+    this.bindings[normalizeKey(descriptor)] = action == null ? null : action;
+
+    return this;
+  }
+
+  /**
+   * Unbind a key, so that it does nothing.
+   *
+   * @param {string} descriptor
+   *
+   * @return {Keymap}
+   */
+  unbind (descriptor) {
+    return this.bind(descriptor, null);
+  }
+
+  /**
+   * @param {Object|Object[]} keys - Key, or sequence of keys, as emitted
+   *   with keypress events
+   *
+   * @return {string|function|null|undefined|Symbol} The bound action, null
+   *   for unbound keys, PREFIX for the start of a longer sequence and
+   *   undefined for keys that never had a binding
+   */
+  lookup (keys) {
+    let descriptors = [].concat(keys).map(keyDescriptor);
+
+    if (descriptors.indexOf(null) !== -1) return undefined;
+
+    let sequence = descriptors.join(' ');
+
+    if (hasBinding(this.bindings, sequence)) {
+      return this.bindings[sequence];
+    }
+
+    let isPrefix = Object.keys(this.bindings).some((descriptor) => {
+      return this.bindings[descriptor] && descriptor.startsWith(`${sequence} `);
+    });
+
+    return isPrefix ? PREFIX : undefined;
+  }
+
+  /**
+   * Apply bindings written in a subset of the inputrc format:
+   *
+   *   # Comments and blank lines are ignored
+   *   set editing-mode vi
+   *   Control-a: beginning-of-line
+   *   "\M-b": backward-word
+   *   C-s: unbound
+   *
+   * Variables set with `set` are collected in `variables`.
+   *
+   * @param {string} text
+   *
+   * @throws {SyntaxError} With the line number of a line that can't be read
+   *
+   * @return {Keymap}
+   */
+  load (text) {
+    String(text).split(/\r?\n/).forEach((raw, index) => {
+      let line = raw.trim();
+
+      if (line === '' || line[0] === '#') return;
+
+      let variable = line.match(/^set\s+(\S+)\s+(\S+)$/);
+
+      if (variable) {
+        this.variables[variable[1]] = variable[2];
+        return;
+      }
+
+      let binding = line.match(/^("(?:[^"\\]|\\.)*"|[^\s:"]+)\s*:\s*(\S+)$/);
+
+      try {
+        if (!binding) {
+          throw new SyntaxError(`can't read '${line}'`);
+        }
+
+        let key = binding[1][0] === '"' ? parseSequence(binding[1].slice(1, -1)) : binding[1];
+
+        this.bind(key, binding[2] === 'unbound' ? null : binding[2]);
+      } catch (err) {
+        throw new SyntaxError(`line ${index + 1}: ${err.message}`);
+      }
+    });
+
+    return this;
+  }
+}
+
+export {
+  Keymap,
+};
@@ -0,0 +1,64 @@
+const KILL_RING_SIZE = 60;
+
+/**
+ * Emacs-style kill ring: text killed from the line, most recent first,
+ * from which it can be yanked back.
+ */
+export default class KillRing {
+  /**
+   * @param {number} size - Maximum number of entries kept
+   */
+  constructor (size) {
+    this.size = size > 0 ? size : KILL_RING_SIZE;
+    this.entries = [];
+  }
+
+  get length () {
+    return this.entries.length;
+  }
+
+  /**
+   * Add killed text.
+   *
+   * @param {string} text
+   * @param {number} direction - 0 for a new entry; +1 or -1 to add the text
+   *   after or before the most recent entry, for consecutive kills
+   */
+  add (text, direction) {
+    if (direction && this.entries.length > 0) {
+      this.entries[0] = direction > 0 ? this.entries[0] + text : text + this.entries[0];
+      return;
+    }
+
+    this.entries.unshift(text);
+
+    if (this.entries.length > this.size) {
+      this.entries.pop();
+    }
+  }
+
+  /**
+   * @return {string|undefined} The entry to yank
+   */
+  current () {
+    return this.entries[0];
+  }
+
+  /**
+   * Make the next older entry the one to yank, moving the current one to
+   * the end of the ring.
+   *
+   * @return {string|undefined} The new entry to yank
+   */
+  rotate () {
+    if (this.entries.length > 0) {
+      this.entries.push(this.entries.shift());
+    }
+
+    return this.entries[0];
+  }
+}
+
+export {
+  KillRing,
+};
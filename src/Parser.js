@@ -0,0 +1,535 @@
+const SPECIAL_VARIABLE = /^\?/;
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*/;
+const WHITESPACE = /\s/;
+
+/**
+ * Read a variable reference starting at the `$` found at `index`.
+ *
+ * @param {string} line
+ * @param {number} index - Position of the `$`
+ * @param {Object} env - Variables available for expansion
+ *
+ * @return {Object}
+ * @property {string} value - Expanded value, or `$` if not a reference
+ * @property {number} length - Number of characters consumed
+ */
+function readVariable (line, index, env) {
+  let rest = line.slice(index + 1);
+  let name;
+  let length;
+
+  if (rest[0] === '{') {
+    let end = rest.indexOf('}');
+
+    if (end === -1) {
+      throw new SyntaxError('missing \'}\' in variable substitution');
+    }
+
+    name = rest.slice(1, end);
+    length = end + 2;
+
+    let match = name.match(VARIABLE_NAME) || name.match(SPECIAL_VARIABLE);
+
+    if (!match || match[0] !== name) {
+      throw new SyntaxError(`\${${name}}: bad substitution`);
+    }
+  } else {
+    let match = rest.match(VARIABLE_NAME) || rest.match(SPECIAL_VARIABLE);
+
+    if (!match) {
+      return { value: '$', length: 1 };
+    }
+
+    name = match[0];
+    length = name.length + 1;
+  }
+
+  let value = env[name];
+
+  return {
+    value: value === undefined || value === null ? '' : String(value),
+    length,
+  };
+}
+
+/**
+ * Split a command line into arguments the way a shell would. Whitespace
+ * separates arguments, single quotes preserve their contents literally,
+ * double quotes allow `\` escapes and variable expansion, and outside of
+ * quotes a backslash escapes the next character. `$NAME`, `${NAME}` and `$?`
+ * are expanded from `env`; expanded values are not split into further
+ * arguments.
+ *
+ * @param {string} line
+ * @param {Object} env - Variables available for expansion
+ *
+ * @throws {SyntaxError} For unterminated quotes and trailing escapes
+ *
+ * @return {string[]}
+ */
+export function tokenize (line, env = {}) {
+  let tokens = [];
+  let token = '';
+  let started = false;
+  let quote = null;
+
+  for (let i = 0, len = line.length; i < len; i += 1) {
+    let ch = line[i];
+
+    if (quote === '\'') {
+      if (ch === '\'') {
+        quote = null;
+      } else {
+        token += ch;
+      }
+    } else if (quote === '"') {
+      if (ch === '"') {
+        quote = null;
+      } else if (ch === '\\' && i + 1 < len && '"\\$'.indexOf(line[i + 1]) !== -1) {
+        i += 1;
+        token += line[i];
+      } else if (ch === '$') {
+        let variable = readVariable(line, i, env);
+        token += variable.value;
+        i += variable.length - 1;
+      } else {
+        token += ch;
+      }
+    } else if (WHITESPACE.test(ch)) {
+      if (started) {
+        tokens.push(token);
+        token = '';
+        started = false;
+      }
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+      started = true;
+    } else if (ch === '\\') {
+      if (i + 1 === len) {
+        throw new SyntaxError('unexpected end of line after \'\\\'');
+      }
+
+      i += 1;
+      token += line[i];
+      started = true;
+    } else if (ch === '$') {
+      let variable = readVariable(line, i, env);
+      token += variable.value;
+      started = started || variable.value.length > 0;
+      i += variable.length - 1;
+    } else {
+      token += ch;
+      started = true;
+    }
+  }
+
+  if (quote) {
+    throw new SyntaxError(`unexpected end of line while looking for matching '${quote}'`);
+  }
+
+  if (started) {
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Split a command line into pipelines joined by `;`, `&&` and `||`, each a
+ * list of commands joined by `|` that may redirect their output to a file
+ * with `>` or `>>`. Operators inside quotes or escaped with a backslash are
+ * ordinary characters, and a backslash before a line break removes both.
+ *
+ * Only the structure is parsed here: the text of each command and redirection
+ * target is left for `tokenize`, so that variables like `$?` are expanded
+ * when the command runs rather than when the line is entered.
+ *
+ * @param {string} line
+ *
+ * @throws {SyntaxError} For unterminated quotes and misplaced operators
+ *
+ * @return {Object[]} Pipelines as `{ op, commands }`, where `op` is the
+ *   operator joining the pipeline to the previous one (null for the first)
+ *   and each command is `{ text, redirect }`, with `redirect` either null or
+ *   `{ text, append }`
+ */
+export function parseCommandLine (line) {
+  let pipelines = [];
+  let commands = [];
+  let command = { text: '', redirect: null };
+  let op = null;
+  let lastOperator = null;
+  let quote = null;
+
+  let append = (text) => {
+    if (command.redirect) {
+      command.redirect.text += text;
+    } else {
+      command.text += text;
+    }
+  };
+
+  let isEmpty = () => !command.redirect && command.text.trim() === '';
+
+  let endCommand = (operator) => {
+    if (isEmpty() || (command.redirect && command.redirect.text.trim() === '')) {
+      throw new SyntaxError(`unexpected token '${operator}'`);
+    }
+
+    commands.push(command);
+    command = { text: '', redirect: null };
+  };
+
+  for (let i = 0, len = line.length; i < len; i += 1) {
+    let ch = line[i];
+    let next = line[i + 1];
+
+    if (ch === '\\' && next === '\n' && quote !== '\'') {
+      // A backslash at the end of a line joins it with the next one
+      i += 1;
+    } else if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (quote === '"' && ch === '\\' && next !== undefined) {
+        append(ch);
+        i += 1;
+        ch = line[i];
+      }
+
+      append(ch);
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+      append(ch);
+    } else if (ch === '\\' && next !== undefined) {
+      append(ch + next);
+      i += 1;
+    } else if (ch === '|' || ch === ';' || (ch === '&' && next === '&')) {
+      let operator = (ch === '|' && next === '|') || ch === '&' ? ch + next : ch;
+
+      i += operator.length - 1;
+      endCommand(operator);
+      lastOperator = operator;
+
+      if (operator !== '|') {
+        pipelines.push({ op, commands });
+        op = operator;
+        commands = [];
+      }
+    } else if (ch === '&') {
+      throw new SyntaxError('\'&\': background jobs are not supported');
+    } else if (ch === '>') {
+      let operator = next === '>' ? '>>' : '>';
+
+      if (command.redirect) {
+        throw new SyntaxError(`unexpected token '${operator}'`);
+      }
+
+      i += operator.length - 1;
+      command.redirect = { text: '', append: operator === '>>' };
+      lastOperator = operator;
+    } else {
+      append(ch);
+    }
+  }
+
+  if (quote) {
+    throw new SyntaxError(`unexpected end of line while looking for matching '${quote}'`);
+  }
+
+  if (command.redirect && command.redirect.text.trim() === '') {
+    throw new SyntaxError(`unexpected end of line after '${lastOperator}'`);
+  }
+
+  if (!isEmpty()) {
+    commands.push(command);
+  } else if (commands.length > 0 || (lastOperator && lastOperator !== ';')) {
+    throw new SyntaxError(`unexpected end of line after '${lastOperator}'`);
+  }
+
+  if (commands.length > 0) {
+    pipelines.push({ op, commands });
+  }
+
+  return pipelines;
+}
+
+const OPERATOR = /^(\|\||&&|>>|[|;&>])/;
+
+/**
+ * @param {string} line
+ * @param {number} index - Where the word starts
+ *
+ * @return {Object} Word token, see `scanCommandLine`
+ */
+function scanWord (line, index) {
+  let parts = [];
+  let start = index;
+  let len = line.length;
+  let i = index;
+
+  let addPart = (end, quoted) => {
+    let last = parts[parts.length - 1];
+    let text = line.slice(start, end);
+
+    if (last && last.quoted === quoted) {
+      last.text += text;
+    } else if (text) {
+      parts.push({ text, quoted });
+    }
+
+    start = end;
+  };
+
+  while (i < len && !WHITESPACE.test(line[i]) && !OPERATOR.test(line[i])) {
+    let ch = line[i];
+
+    if (ch === '\'' || ch === '"') {
+      let end = i + 1;
+
+      while (end < len && line[end] !== ch) {
+        end += ch === '"' && line[end] === '\\' ? 2 : 1;
+      }
+
+      addPart(i, false);
+      i = Math.min(end + 1, len);
+      addPart(i, true);
+    } else {
+      i += ch === '\\' ? 2 : 1;
+    }
+  }
+
+  i = Math.min(i, len);
+  addPart(i, false);
+
+  return { type: 'word', text: parts.map(part => part.text).join(''), parts };
+}
+
+/**
+ * Split a command line into whitespace, operators and words, keeping every
+ * character so that the text can be put back together, e.g. to highlight it.
+ * Unlike `parseCommandLine` this never throws: unterminated quotes simply run
+ * to the end of the line.
+ *
+ * @param {string} line
+ *
+ * @return {Object[]} Tokens as `{ type, text }`, where type is 'space',
+ *   'operator' or 'word'. Words also have `parts`, the runs of quoted and
+ *   unquoted text they are made of, as `{ text, quoted }`.
+ */
+export function scanCommandLine (line) {
+  let tokens = [];
+  let i = 0;
+  let len = line.length;
+
+  while (i < len) {
+    let space = line.slice(i).match(/^\s+/);
+    let operator = line.slice(i).match(OPERATOR);
+
+    if (space || operator) {
+      let text = (space || operator)[0];
+
+      tokens.push({ type: space ? 'space' : 'operator', text });
+      i += text.length;
+    } else {
+      let word = scanWord(line, i);
+
+      tokens.push(word);
+      i += word.text.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Tell whether a command line needs more input: it ends with a backslash
+ * escaping the line break, or leaves a quote open.
+ *
+ * @param {string} line
+ *
+ * @return {boolean}
+ */
+export function isIncomplete (line) {
+  let quote = null;
+
+  for (let i = 0, len = line.length; i < len; i += 1) {
+    let ch = line[i];
+
+    if (ch === '\\' && quote !== '\'') {
+      if (i + 1 === len) return true;
+
+      i += 1;
+    } else if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '\'' || ch === '"') {
+      quote = ch;
+    }
+  }
+
+  return quote !== null;
+}
+
+/**
+ * Describe an argument or option for error messages.
+ *
+ * @param {Object} spec
+ * @param {boolean} isOption
+ *
+ * @return {string}
+ */
+function specLabel (spec, isOption) {
+  return isOption ? `option '--${spec.name}'` : `argument <${spec.name}>`;
+}
+
+/**
+ * Convert a raw string to the type declared by its spec.
+ *
+ * @param {Object} spec
+ * @param {string} value
+ * @param {boolean} isOption
+ *
+ * @throws {Error} When the value does not match the type
+ *
+ * @return {*}
+ */
+function coerce (spec, value, isOption) {
+  if (spec.type === 'number') {
+    let number = Number(value);
+
+    if (value.trim() === '' || isNaN(number)) {
+      throw new Error(`${specLabel(spec, isOption)} must be a number, got '${value}'`);
+    }
+
+    return number;
+  }
+
+  return value;
+}
+
+/**
+ * Parse a command's arguments against its declared schema.
+ *
+ * Options are given as `--name value`, `--name=value`, `-a value` or `-avalue`
+ * and boolean options as `--name`, `--no-name`, `-a` or grouped as `-abc`.
+ * `--` ends option parsing. The remaining arguments fill the positional specs
+ * in order, the last of which may be `variadic` to collect the rest.
+ *
+ * @param {string[]} argv
+ * @param {Object} schema
+ * @param {Object[]} schema.args - Positional arguments as
+ *   `{ name, type, default, required, variadic }`
+ * @param {Object[]} schema.options - Options as
+ *   `{ name, alias, type, default, required }`
+ *
+ * @throws {Error} On unknown options, missing or malformed values
+ *
+ * @return {Object} Values keyed by argument and option name
+ */
+export function parseArguments (argv, schema) {
+  let positional = schema.args || [];
+  let options = schema.options || [];
+  let result = {};
+  let rest = [];
+  let optionsEnded = false;
+
+  let setOption = (option, value, name) => {
+    if (option.type === 'boolean') {
+      result[option.name] = value;
+    } else if (value === undefined) {
+      throw new Error(`option '${name}' requires a value`);
+    } else {
+      result[option.name] = coerce(option, value, true);
+    }
+  };
+
+  for (let i = 0, len = argv.length; i < len; i += 1) {
+    let arg = argv[i];
+
+    if (optionsEnded || arg === '-' || arg[0] !== '-' || /^-\d/.test(arg)) {
+      rest.push(arg);
+    } else if (arg === '--') {
+      optionsEnded = true;
+    } else if (arg.startsWith('--')) {
+      let [name, ...value] = arg.slice(2).split('=');
+      let option = options.find(o => o.name === name);
+      let negated = false;
+
+      value = value.length > 0 ? value.join('=') : undefined;
+
+      if (!option && name.startsWith('no-')) {
+        option = options.find(o => o.name === name.slice(3) && o.type === 'boolean');
+        negated = !!option;
+      }
+
+      if (!option) {
+        throw new Error(`unknown option '--${name}'`);
+      }
+
+      if (option.type === 'boolean') {
+        if (value !== undefined) {
+          throw new Error(`option '--${name}' does not take a value`);
+        }
+
+        value = !negated;
+      } else if (value === undefined && i + 1 < len) {
+        i += 1;
+        value = argv[i];
+      }
+
+      setOption(option, value, `--${name}`);
+    } else {
+      for (let j = 1; j < arg.length; j += 1) {
+        let option = options.find(o => o.alias === arg[j]);
+
+        if (!option) {
+          throw new Error(`unknown option '-${arg[j]}'`);
+        }
+
+        if (option.type === 'boolean') {
+          setOption(option, true);
+        } else {
+          let value = arg.slice(j + 1) || undefined;
+
+          if (value === undefined && i + 1 < len) {
+            i += 1;
+            value = argv[i];
+          }
+
+          setOption(option, value, `-${arg[j]}`);
+          break;
+        }
+      }
+    }
+  }
+
+  positional.forEach((spec) => {
+    if (spec.variadic) {
+      result[spec.name] = rest.splice(0).map(value => coerce(spec, value, false));
+    } else if (rest.length > 0) {
+      result[spec.name] = coerce(spec, rest.shift(), false);
+    }
+  });
+
+  if (rest.length > 0) {
+    throw new Error(`unexpected argument '${rest[0]}'`);
+  }
+
+  let applyDefault = (spec, isOption) => {
+    let value = result[spec.name];
+
+    if (value !== undefined && !(spec.variadic && value.length === 0)) return;
+
+    if (spec.default !== undefined) {
+      result[spec.name] = spec.default;
+    } else if (spec.required) {
+      throw new Error(`missing required ${specLabel(spec, isOption)}`);
+    } else if (spec.type === 'boolean') {
+      result[spec.name] = false;
+    }
+  };
+
+  positional.forEach(spec => applyDefault(spec, false));
+  options.forEach(spec => applyDefault(spec, true));
+
+  return result;
+}
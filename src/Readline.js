@@ -1,11 +1,19 @@
-import { assign } from 'lodash';
+import { assign, isString } from 'lodash';
 import { Buffer } from 'buffer';
 import { EventEmitter } from 'events';
 import LineInputStream from 'line-input-stream';
 import MuteStream from 'mute-stream';
 import { emitKeys, getStringWidth } from './Util';
 import { isFullWidthCodePoint, stripVTControlCharacters } from './Util';
-
+import Keymap, { ACTIONS, PREFIX } from './Keymap';
+import KillRing from './KillRing';
+import ViMode from './ViMode';
+import { isIncomplete } from './Parser';
+
+const BRACKETED_PASTE_OFF = '\x1b[?2004l';
+const BRACKETED_PASTE_ON = '\x1b[?2004h';
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARACTERS = /[\x00-\x1f\x7f]/;
 const ESCAPE_CODE_TIMEOUT = 500;
 const ESCAPE_DECODER = Symbol('escape-decoder');
 const HISTORY_SIZE = 30;
@@ -14,6 +22,35 @@ const LINE_ENDING = /\r?\n|\r(?!\n)/;
 const MAX_DELAY = 100;
 const MIN_DELAY = 2000;
 
+/**
+ * Find the longest prefix shared by all of the given strings.
+ *
+ * @param {string[]} strings
+ *
+ * @return {string}
+ */
+function commonPrefix (strings) {
+  if (!strings || strings.length === 0) {
+    return '';
+  }
+
+  if (strings.length === 1) {
+    return strings[0];
+  }
+
+  let sorted = strings.slice().sort();
+  let min = sorted[0];
+  let max = sorted[sorted.length - 1];
+
+  for (let i = 0, len = min.length; i < len; i += 1) {
+    if (min[i] !== max[i]) {
+      return min.slice(0, i);
+    }
+  }
+
+  return min;
+}
+
 export default class Readline extends EventEmitter {
   constructor (input, output, completer, terminal) {
     super();
@@ -22,20 +59,49 @@ export default class Readline extends EventEmitter {
     this.isCompletionEnabled = true;
     this._sawKeyPress = false;
     this._previousKey = null;
+    this._search = null;
+    this._confirm = null;
+    this._hidden = false;
 
     EventEmitter.call(this);
 
     let historySize;
+    let historyStorage = null;
+    let historyKey = 'default';
+    let historyIgnoreDuplicates = false;
+    let historyIgnoreSpace = false;
     let crlfDelay;
     let prompt = '>';
+    let editMode;
+    let keymap;
+    let killRingSize;
+    let continuationPrompt = '> ';
+    let incomplete = null;
+    let highlighter = null;
+    let suggester = null;
+    let bracketedPaste = true;
+    let confirmPaste = false;
 
     if (arguments.length === 1) {
       output = input.output;
       completer = input.completer;
       terminal = input.terminal || true;
       historySize = input.historySize || HISTORY_SIZE;
+      historyStorage = input.historyStorage || null;
+      historyKey = input.historyKey || historyKey;
+      historyIgnoreDuplicates = !!input.historyIgnoreDuplicates;
+      historyIgnoreSpace = !!input.historyIgnoreSpace;
       prompt = input.prompt || '>';
       crlfDelay = input.crlfDelay || 200;
+      editMode = input.editMode;
+      keymap = input.keymap;
+      killRingSize = input.killRingSize;
+      continuationPrompt = input.continuationPrompt || continuationPrompt;
+      incomplete = input.isIncomplete || null;
+      highlighter = input.highlighter || null;
+      suggester = input.suggester || null;
+      bracketedPaste = input.bracketedPaste !== false;
+      confirmPaste = !!input.confirmPaste;
       input = input.input;
     }
 
@@ -50,6 +116,20 @@ export default class Readline extends EventEmitter {
     this.output = output;
     this.input = input;
     this.historySize = historySize;
+    this.historyStorage = historyStorage;
+    this.historyKey = historyKey;
+    this.historyIgnoreDuplicates = historyIgnoreDuplicates;
+    this.historyIgnoreSpace = historyIgnoreSpace;
+    this.historyReady = Promise.resolve();
+    this.killRing = new KillRing(killRingSize);
+    this.continuationPrompt = continuationPrompt;
+    this.isIncomplete = incomplete;
+    this.highlighter = highlighter;
+    this.suggester = suggester;
+    this._suggestion = null;
+    this.bracketedPaste = bracketedPaste;
+    this.confirmPaste = confirmPaste;
+    this._pastedLines = false;
     this.crlfDelay = Math.min(MIN_DELAY, Math.min(MAX_DELAY, crlfDelay >>> 0));
 
     if (typeof completer === 'function') {
@@ -59,6 +139,11 @@ export default class Readline extends EventEmitter {
     }
 
     this.setPrompt(prompt);
+    this.setKeymap(keymap);
+
+    if (editMode) {
+      this.setEditMode(editMode);
+    }
 
     this.terminal = !!terminal;
 
@@ -118,10 +203,16 @@ export default class Readline extends EventEmitter {
       this._setRawMode(true);
       this.terminal = true;
 
+      if (this.bracketedPaste) {
+        this._writeToOutput(BRACKETED_PASTE_ON);
+      }
+
       this.cursor = 0;
+      this._resetUndo();
 
       this.history = [];
       this.historyIndex = -1;
+      this.historyReady = this._loadHistory();
 
       if (output !== null && output !== undefined) {
         output.on('resize', onResize);
@@ -151,6 +242,10 @@ export default class Readline extends EventEmitter {
 
     if (this.terminal) {
       this._setRawMode(false);
+
+      if (this.bracketedPaste) {
+        this._writeToOutput(BRACKETED_PASTE_OFF);
+      }
     }
 
     this.closed = true;
@@ -215,6 +310,16 @@ export default class Readline extends EventEmitter {
     }
   }
 
+  /**
+   * Abandon a pending question, restoring the prompt it replaced.
+   */
+  cancelQuestion () {
+    if (!this._questionCallback) return;
+
+    this._questionCallback = null;
+    this.setPrompt(this._oldPrompt, true);
+  }
+
   /**
    * Event triggered when a new line is received.
    *
@@ -260,6 +365,74 @@ export default class Readline extends EventEmitter {
     this._prompt = prompt;
   }
 
+  /**
+   * Stop drawing the prompt and the line, e.g. while a command writes its
+   * output. Keys typed meanwhile still edit the line and may submit it, and
+   * a question asked in the meantime is shown as usual.
+   *
+   * @param {boolean} hidden
+   */
+  setHidden (hidden) {
+    this._hidden = !!hidden;
+  }
+
+  /**
+   * @private
+   *
+   * @return {boolean} Whether drawing the line is suspended
+   */
+  _isHidden () {
+    return this._hidden && !this._questionCallback;
+  }
+
+  /**
+   * Switch between the default emacs key bindings and vi editing mode.
+   *
+   * @param {string} mode - 'emacs' or 'vi'
+   *
+   * @throws {TypeError} For other modes
+   */
+  setEditMode (mode) {
+    if (mode !== 'emacs' && mode !== 'vi') {
+      throw new TypeError(`Unknown edit mode '${mode}'.`);
+    }
+
+    this.editMode = mode;
+
+    if (mode === 'vi') {
+      this._vi = this._vi || new ViMode(this);
+    } else {
+      this._vi = null;
+    }
+
+    if (this.terminal && this.line !== undefined) {
+      this._refreshLine();
+    }
+  }
+
+  /**
+   * Replace the key bindings. A `set editing-mode` in inputrc text switches
+   * the edit mode as well.
+   *
+   * @param {Keymap|Object|string} keymap - Keymap, or bindings to apply over
+   *   the defaults as accepted by the Keymap constructor
+   */
+  setKeymap (keymap) {
+    this.keymap = keymap instanceof Keymap ? keymap : new Keymap(keymap);
+    this.setEditMode(this.keymap.variables['editing-mode'] || this.editMode || 'emacs');
+  }
+
+  /**
+   * Get the prompt as it is displayed, with the vi mode indicator in front.
+   *
+   * @private
+   *
+   * @return {string}
+   */
+  _displayPrompt () {
+    return this._vi && !this._search ? this._vi.indicator() + this._prompt : this._prompt;
+  }
+
   /**
    * Write either data or a key sequence to the output.
    */
@@ -312,6 +485,31 @@ export default class Readline extends EventEmitter {
    * @param {boolean} options.terminal - Is a TTY stream with ANSI/VT100 support
    * @param {string} options.prompt - Prompt string to use
    * @param {number} options.crlfDelay - Delay for determining EOL inputs
+   * @param {number} options.historySize - Maximum number of history entries
+   * @param {Object} options.historyStorage - Adapter persisting the history
+   * @param {string} options.historyKey - Key the history is stored under
+   * @param {boolean} options.historyIgnoreDuplicates - Drop earlier copies of
+   *   a line when it is added again
+   * @param {boolean} options.historyIgnoreSpace - Don't record lines starting
+   *   with a space
+   * @param {string} options.editMode - 'emacs' (default) or 'vi' key bindings
+   * @param {Keymap|Object|string} options.keymap - Key bindings, see Keymap
+   * @param {number} options.killRingSize - Maximum number of kills kept for
+   *   yanking
+   * @param {string} options.continuationPrompt - Prompt shown on the lines
+   *   after the first of a multi-line input
+   * @param {function} options.isIncomplete - Called with the input when Enter
+   *   is pressed; returning true continues it on a new line. Input ending
+   *   with a backslash or with an open quote is always continued.
+   * @param {function} options.highlighter - Called with the line to return
+   *   it colored with ANSI escape codes, without changing the text itself
+   * @param {function} options.suggester - Called with the line while the
+   *   cursor is at its end, returning a longer line starting with it to
+   *   suggest; see `suggestFromHistory`
+   * @param {boolean} options.bracketedPaste - Set to false to leave the
+   *   terminal's bracketed paste mode off, so pasted text is typed key by key
+   * @param {boolean} options.confirmPaste - Ask before submitting input with
+   *   several pasted lines
    */
   static createInterface (options) {
     let { term, input, output } = options;
@@ -327,6 +525,10 @@ export default class Readline extends EventEmitter {
         let ms = new MuteStream;
         ms.pipe(output);
         res.output = ms;
+
+        // MuteStream proxies the size of its destination but not its resize
+        // events, which Readline needs to redraw the line
+        output.on('resize', () => ms.emit('resize'));
       }
 
       return res;
@@ -344,7 +546,7 @@ export default class Readline extends EventEmitter {
 
     options = assign({}, options, decorateStreams({
       input: new InputStream(term.io),
-      output: new OutputStream(term.io)
+      output: new OutputStream(term.io),
     }));
 
     return new Readline(options);
@@ -422,7 +624,7 @@ export default class Readline extends EventEmitter {
               throw err;
             } finally {
               if (iface) {
-                iface.isCOmpletionEnabled = true;
+                iface.isCompletionEnabled = true;
               }
             }
           }
@@ -493,195 +695,157 @@ export default class Readline extends EventEmitter {
     key = key || {};
     this._previousKey = key;
 
-    if (key.name == 'escape') return;
+    // Edits such as kills, yanks and inserts mark themselves in `_edit`, so
+    // that the next key can tell whether it directly follows one
+    this._previousEdit = this._edit;
+    this._edit = null;
 
-    if (key.ctrl && key.shift) {
-      switch (key.name) {
-        case 'backspace':
-          this._deleteLineLeft();
-          break;
+    let undoStack = this._undoStack;
 
-        case 'delete':
-          this._deleteLineRight();
-          break;
-      }
-    } else if (key.ctrl) {
-      switch (key.name) {
-        case 'c':
-          if (this.listenerCount('SIGINT') > 0) {
-            this.emit('SIGINT');
-          } else {
-            this.close();
-          }
+    this._handleKey(data, key, previousKey);
 
-        case 'h':
-          this._deleteLeft();
-          break;
+    // Submitting the line starts over with a new undo stack, and changes made
+    // while searching count once the search ends
+    if (this._undoStack === undoStack && !this._search) {
+      this._recordUndo();
+    }
+  }
 
-        case 'd':
-          if (this.cursor === 0 && this.line.length === 0) {
-            this.close();
-          } else if (this.cursor < this.line.length) {
-            this._deleteRight();
-          }
-          break;
+  /**
+   * @private
+   */
+  _handleKey (data, key, previousKey) {
+    if (this._search && this._searchWrite(data, key)) return;
 
-        case 'u':
-          this.cursor = 0;
-          this.line = '';
-          this._refreshLine();
-          break;
+    if (this._confirm) {
+      this._confirmWrite(data, key);
+      return;
+    }
 
-        case 'k':
-          this._deleteLineRight();
-          break;
+    if (this._vi && this._vi.write(data, key)) return;
 
-        case 'a':
-          this._moveCursor(-Infinity);
-          break;
+    if (this._sawReturnAt && key.name !== 'enter') {
+      this._sawReturnAt = 0;
+    }
 
-        case 'e':
-          this._moveCursor(+Infinity);
-          break;
+    let keys = (this._pendingKeys || []).concat(key);
+    let action = this.keymap.lookup(keys);
 
-        case 'b':
-          this._moveCursor(-1);
-          break;
+    this._pendingKeys = null;
 
-        case 'f':
-          this._moveCursor(+1);
-          break;
+    if (action === PREFIX) {
+      this._pendingKeys = keys;
+      return;
+    }
 
-        case 'l':
-          Readline.cursorTo(this.output, 0, 0);
-          Readline.clearScreenDown(this.output);
-          this._refreshLine();
-          break;
+    // Keys without a binding insert their text
+    if (action === undefined && keys.length === 1 &&
+        !key.ctrl && !key.meta && key.name !== 'escape') {
+      action = 'self-insert';
+    }
 
-        case 'n':
-          this._historyNext();
-          break;
+    if (!action) return;
 
-        case 'p':
-          this._historyPrev();
-          break;
+    if (isString(action)) {
+      action = ACTIONS[action];
+    }
 
-        case 'z':
-          if (process.platform == 'win32') break;
+    action(this, data, key, previousKey);
+  }
 
-          // TODO?
-          break;
+  /**
+   * Ask the completer for candidates matching the text before the cursor and
+   * complete their common prefix. On a repeated tab the candidates are listed
+   * in columns below the line before the prompt is redrawn.
+   *
+   * @private
+   *
+   * @param {boolean} lastKeypressWasTab
+   */
+  _tabComplete (lastKeypressWasTab) {
+    this.pause();
 
-        case 'w':
-        case 'backspace':
-          this._deleteWordLeft();
-          break;
+    this.completer(this.line.slice(0, this.cursor), (err, result) => {
+      this.resume();
 
-        case 'delete':
-          this._deleteWordRight();
-          break;
+      if (err || !result) return;
 
-        case 'left':
-          this._wordLeft();
-          break;
+      let [completions, completeOn] = result;
 
-        case 'right':
-          this._wordRight();
-          break;
-      }
-    } else if (key.meta) {
-      switch (key.name) {
-        case 'b':
-          this._wordLeft();
-          break;
-
-        case 'f':
-          this._wordRight();
-          break;
-
-        case 'd':
-        case 'delete':
-          this._deleteWordRight();
-          break;
-
-        case 'backspace':
-          this._deleteWordLeft();
-          break;
-      }
-    } else {
-      if (this._sawReturnAt && key.name !== 'enter') {
-        this._sawReturnAt = 0;
-      }
+      if (!completions || completions.length === 0) return;
 
-      switch (key.name) {
-        case 'return':
-          this._sawRetrnAt = Date.now();
-          this._line();
-          break;
+      if (lastKeypressWasTab && !this._isHidden()) {
+        this._writeToOutput('\r\n');
+        this._showCompletions(completions);
+        this.prevRows = 0;
+      }
 
-        case 'enter':
-          if (this._sawReturnAt === 0 || 
-              Date.now() - this._sawReturnAt > this.crlfDelay) {
-            this._line();
-          }
+      let prefix = commonPrefix(completions.filter(c => c));
 
-          this._sawReturnAt = 0;
-          break;
+      if (prefix.length > completeOn.length) {
+        this._insertString(prefix.slice(completeOn.length));
+      }
 
-        case 'backspace':
-          this._deleteLeft();
-          break;
+      this._refreshLine();
+    });
+  }
 
-        case 'delete':
-          this._deleteRight();
-          break;
+  /**
+   * Write the completion candidates as a column formatted list fitted to the
+   * width of the output. Empty strings split the candidates into groups.
+   *
+   * @private
+   *
+   * @param {string[]} completions
+   */
+  _showCompletions (completions) {
+    let width = completions.reduce((a, b) => {
+      return a.length > b.length ? a : b;
+    }).length + 2;
 
-        case 'left':
-          this._moveCursor(-1);
-          break;
+    let maxColumns = Math.floor(this.columns / width);
 
-        case 'right':
-          this._moveCursor(+1);
-          break;
+    if (!maxColumns || maxColumns === Infinity) {
+      maxColumns = 1;
+    }
 
-        case 'home':
-          this._moveCursor(-Infinity);
-          break;
+    let writeGroup = (group) => {
+      let rows = Math.ceil(group.length / maxColumns);
 
-        case 'end':
-          this._moveCursor(+Infinity);
-          break;
+      for (let row = 0; row < rows; row += 1) {
+        let text = '';
 
-        case 'up':
-          this._historyPrev();
-          break;
+        for (let col = 0; col < maxColumns; col += 1) {
+          let idx = (row * maxColumns) + col;
 
-        case 'down':
-          this._historyNext();
-          break;
+          if (idx >= group.length) break;
 
-        case 'tab':
-          // TODO
-          break;
+          text += group[idx];
 
-        default:
-          if (data instanceof Buffer) {
-            data = data.toString('utf-8');
+          if (col < maxColumns - 1) {
+            text += ' '.repeat(width - getStringWidth(group[idx]));
           }
+        }
 
-          if (data) {
-            let lines = data.split(/\r\n|\n|\r/);
+        this._writeToOutput(`${text.replace(/\s+$/, '')}\r\n`);
+      }
+    };
 
-            for (let i = 0, len = lines.length; i < len; i++) {
-              if (i > 0) {
-                this._line();
-              }
+    let group = [];
 
-              this._insertString(lines[i]);
-            }
-          }
+    completions.forEach((completion) => {
+      if (completion === '') {
+        if (group.length > 0) {
+          writeGroup(group);
+          this._writeToOutput('\r\n');
+        }
+        group = [];
+      } else {
+        group.push(completion);
       }
-    }
+    });
+
+    writeGroup(group);
   }
 
   /**
@@ -720,6 +884,30 @@ export default class Readline extends EventEmitter {
     }
   }
 
+  /**
+   * Insert typed text, accepting the line at each line break in it.
+   *
+   * @param {string|Buffer} data
+   *
+   * @private
+   */
+  _selfInsert (data) {
+    let text = data instanceof Buffer ? data.toString('utf-8') : data;
+
+    if (!text) return;
+
+    // Consecutive inserts are undone together
+    this._edit = 'insert';
+
+    text.split(/\r\n|\n|\r/).forEach((line, i) => {
+      if (i > 0) {
+        this._acceptLine();
+      }
+
+      this._insertString(line);
+    });
+  }
+
   /**
    * @private
    */
@@ -734,13 +922,15 @@ export default class Readline extends EventEmitter {
       this.line += c;
       this.cursor += c.length;
 
-      if (this._getCursorPos().cols === 0) {
+      if (this._isHidden()) return;
+
+      // Highlighting and suggestions may change with every character
+      if (this.highlighter || this.suggester || this._getCursorPos().cols === 0) {
         this._refreshLine();
       } else {
         this._writeToOutput(c);
+        this._moveCursor(0);
       }
-
-      this._moveCursor(0);
     }
   }
 
@@ -766,9 +956,20 @@ export default class Readline extends EventEmitter {
     if (this.line.length === 0) return '';
     if (this.historySize === 0) return this.line;
     if (this.line.trim().length === 0) return this.line;
+    if (this.historyIgnoreSpace && this.line[0] === ' ') {
+      this.historyIndex = -1;
+      return this.line;
+    }
+
     if (this.history.length === 0 || this.history[0] !== this.line) {
+      if (this.historyIgnoreDuplicates) {
+        this.history = this.history.filter(entry => entry !== this.line);
+      }
+
       this.history.unshift(this.line);
       if (this.history.length > this.historySize) this.history.pop();
+
+      this._saveHistory();
     }
 
     this.historyIndex = -1;
@@ -776,8 +977,176 @@ export default class Readline extends EventEmitter {
     return this.history[0];
   }
 
-  _refreshLine () {
-    let line = this._prompt + this.line;
+  /**
+   * Remove all entries from the history, including the stored copy.
+   */
+  clearHistory () {
+    this.history = [];
+    this.historyIndex = -1;
+    this._historyCleared = true;
+
+    this._saveHistory();
+  }
+
+  /**
+   * Load the stored history, keeping entries added while it was loading as
+   * the most recent ones.
+   *
+   * @private
+   *
+   * @return {Promise}
+   */
+  _loadHistory () {
+    if (!this.historyStorage) {
+      return Promise.resolve();
+    }
+
+    return Promise.resolve()
+      .then(() => this.historyStorage.load(this.historyKey))
+      .then((entries) => {
+        // Clearing the history while it loads drops the stored entries too
+        let history = this.history.concat(this._historyCleared ? [] : entries || []);
+
+        if (this.historyIgnoreDuplicates) {
+          history = history.filter((entry, i) => history.indexOf(entry) === i);
+        }
+
+        this.history = history.slice(0, this.historySize);
+      })
+      // A history that fails to load starts out empty
+      .catch(() => {});
+  }
+
+  /**
+   * Hand the history to the storage adapter.
+   *
+   * @private
+   *
+   * @return {Promise}
+   */
+  _saveHistory () {
+    if (!this.historyStorage) {
+      return Promise.resolve();
+    }
+
+    // Saving before the stored history has loaded would overwrite it with
+    // the entries added since
+    return this.historyReady
+      .then(() => this.historyStorage.save(this.historyKey, this.history.slice()))
+      // Failing to persist must not get in the way of editing
+      .catch(() => {});
+  }
+
+  /**
+   * Get the line as it should be displayed, which may include ANSI escape
+   * codes. Cursor positions are always computed from the plain `this.line`.
+   *
+   * @private
+   *
+   * @return {string}
+   */
+  _renderLine () {
+    let search = this._search;
+
+    let query = search && search.query;
+
+    if (query && this.line.substr(this.cursor, query.length) === query) {
+      let end = this.cursor + query.length;
+
+      return `${this.line.slice(0, this.cursor)}\x1b[7m${this.line.slice(this.cursor, end)}` +
+             `\x1b[27m${this.line.slice(end)}`;
+    }
+
+    if (this.highlighter) {
+      return this.highlighter(this.line);
+    }
+
+    return this.line;
+  }
+
+  /**
+   * Suggest the most recent history entry that starts with the line, as a
+   * source for the `suggester` option.
+   *
+   * @param {string} line
+   *
+   * @return {string|undefined}
+   */
+  suggestFromHistory (line) {
+    return this.history.find(entry => entry.length > line.length && entry.startsWith(line));
+  }
+
+  /**
+   * @private
+   *
+   * @return {string|null} The suggestion to show after the cursor, if any
+   */
+  _suggest () {
+    if (!this.suggester || this._search || !this.line || this.cursor !== this.line.length) {
+      return null;
+    }
+
+    let suggestion = this.suggester(this.line);
+
+    if (!isString(suggestion) || suggestion.length <= this.line.length ||
+        !suggestion.startsWith(this.line)) {
+      return null;
+    }
+
+    return suggestion;
+  }
+
+  /**
+   * Accept the suggestion shown after the cursor.
+   *
+   * @private
+   *
+   * @param {boolean} word - Accept only up to the end of the next word
+   *
+   * @return {boolean} Whether there was a suggestion to accept
+   */
+  _acceptSuggestion (word) {
+    if (!this._suggestion || this.cursor !== this.line.length) return false;
+
+    let rest = this._suggestion.slice(this.line.length);
+
+    if (word) {
+      rest = rest.match(/^(\s+|\W+|\w+)\s*/)[0];
+    }
+
+    this.line += rest;
+    this.cursor = this.line.length;
+    this._refreshLine();
+
+    return true;
+  }
+
+  /**
+   * Erase the suggestion from the screen, before the line is left behind.
+   *
+   * @private
+   */
+  _clearSuggestion () {
+    if (this._suggestion) {
+      this._refreshLine(false);
+    }
+  }
+
+  /**
+   * Redraw the prompt and the line.
+   *
+   * @param {boolean} suggest - Pass false to leave out the autosuggestion
+   */
+  _refreshLine (suggest) {
+    if (this._isHidden()) {
+      this._suggestion = null;
+      return;
+    }
+
+    this._suggestion = suggest === false ? null : this._suggest();
+
+    let ghost = this._suggestion ? this._suggestion.slice(this.line.length) : '';
+    let line = this._displayPrompt() + this._withContinuation(this.line + ghost);
     let position = this._getDisplayPos(line);
     let cols = position.cols;
     let rows = position.rows;
@@ -791,7 +1160,15 @@ export default class Readline extends EventEmitter {
     Readline.cursorTo(this.output, 0);
     Readline.clearScreenDown(this.output);
     
-    this._writeToOutput(line);
+    let rendered = this._renderLine();
+
+    if (ghost) {
+      rendered += `\x1b[2m${ghost}\x1b[22m`;
+    }
+
+    rendered = this._withContinuation(rendered);
+
+    this._writeToOutput(this._displayPrompt() + rendered.replace(/\n/g, '\r\n'));
 
     if (cols === 0) {
       this._writeToOutput(' ');
@@ -852,7 +1229,7 @@ export default class Readline extends EventEmitter {
 
     return {
       cols: cols,
-      rows: rows
+      rows: rows,
     }
   }
 
@@ -865,7 +1242,8 @@ export default class Readline extends EventEmitter {
    */
   _getCursorPos () {
     let columns = this.columns;
-    let strBeforeCursor = this._prompt + this.line.substring(0, this.cursor);
+    let strBeforeCursor = this._displayPrompt() +
+                          this._withContinuation(this.line.substring(0, this.cursor));
     let dispPos = this._getDisplayPos(stripVTControlCharacters(strBeforeCursor));
     let cols = dispPos.cols;
     let rows = dispPos.rows;
@@ -879,7 +1257,7 @@ export default class Readline extends EventEmitter {
 
     return {
       cols: cols,
-      rows: rows
+      rows: rows,
     }
   }
 
@@ -929,46 +1307,103 @@ export default class Readline extends EventEmitter {
   }
 
   /**
-   * Delete word to the left
+   * Delete word to the left, into the kill ring
    */
   _deleteWordLeft () {
     if (this.cursor > 0) {
       let leading = this.line.slice(0, this.cursor);
       let match = leading.match(/([^\w\s]+|\w+|)\s*$/);
-      leading = leading.slice(0, leading.length - match[0].length);
-      this.line = leading + this.line.slice(this.cursor, this.line.length);
-      this.cursor = leading.length;
-      this._refreshLine();
+      this._kill(this.cursor - match[0].length, this.cursor, true);
     }
   }
 
   /**
-   * Delete word to the right
+   * Delete word to the right, into the kill ring
    */
   _deleteWordRight () {
     if (this.cursor < this.line.length) {
       let trailing = this.line.slice(this.cursor);
       let match = trailing.match(/^(\s+|\W+|\w+)\s*/);
-      this.line = this.line.slice(0, this.cursor) +
-                  trailing.slice(match[0].length);
-      this._refreshLine();
+      this._kill(this.cursor, this.cursor + match[0].length, false);
     }
   }
 
   /**
-   * Delete line to the left of the cursor
+   * Delete line to the left of the cursor, into the kill ring
    */
   _deleteLineLeft () {
-    this.line = this.line.slice(this.cursor);
-    this.cursor = 0;
-    this._refreshLine();
+    this._kill(0, this.cursor, true);
   }
 
   /**
-   * Delete line to the right of the cursor
+   * Delete line to the right of the cursor, into the kill ring
    */
   _deleteLineRight () {
-    this.line = this.line.slice(0, this.cursor);
+    this._kill(this.cursor, this.line.length, false);
+  }
+
+  /**
+   * Delete part of the line, adding it to the kill ring. Text killed by
+   * consecutive keys is collected in a single entry.
+   *
+   * @private
+   *
+   * @param {number} start
+   * @param {number} end
+   * @param {boolean} backward - Whether the kill goes towards the start of
+   *   the line, so the text goes before earlier consecutive kills
+   */
+  _kill (start, end, backward) {
+    let text = this.line.slice(start, end);
+
+    if (text) {
+      let direction = 0;
+
+      if (this._previousEdit === 'kill') {
+        direction = backward ? -1 : +1;
+      }
+
+      this.killRing.add(text, direction);
+    }
+
+    this._edit = 'kill';
+    this.line = this.line.slice(0, start) + this.line.slice(end);
+    this.cursor = start;
+    this._refreshLine();
+  }
+
+  /**
+   * Insert the most recently killed text at the cursor.
+   *
+   * @private
+   */
+  _yank () {
+    let text = this.killRing.current();
+
+    if (text === undefined) return;
+
+    let start = this.cursor;
+
+    this._insertString(text);
+    this._edit = 'yank';
+    this._yanked = { start, end: this.cursor };
+  }
+
+  /**
+   * Right after a yank, replace the yanked text with the next older kill.
+   *
+   * @private
+   */
+  _yankPop () {
+    if (this._previousEdit !== 'yank' || this.killRing.length === 0) return;
+
+    let { start, end } = this._yanked;
+    let text = this.killRing.rotate();
+
+    this.line = this.line.slice(0, start) + text + this.line.slice(end);
+    this.cursor = start + text.length;
+    this._edit = 'yank';
+    this._yanked = { start, end: this.cursor };
     this._refreshLine();
   }
 
@@ -977,10 +1412,336 @@ export default class Readline extends EventEmitter {
    */
   clearLine () {
     this._moveCursor(+Infinity);
-    this._writeToOutput('\r\n');
+    this._clearSuggestion();
+
+    if (!this._isHidden()) {
+      this._writeToOutput('\r\n');
+    }
+
     this.line = '';
     this.cursor = 0;
     this.prevRows = 0;
+    this._pastedLines = false;
+    this._resetUndo();
+
+    if (this._vi) {
+      this._vi.reset();
+    }
+  }
+
+  /**
+   * Start over with empty undo and redo stacks, for a new line.
+   *
+   * @private
+   */
+  _resetUndo () {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._undoState = { line: this.line, cursor: this.cursor };
+  }
+
+  /**
+   * Record the change made by the last key, if any, as a step to undo.
+   * Consecutive inserts are grouped into a single step. Each step keeps the
+   * line and cursor as they were before the change.
+   *
+   * @private
+   */
+  _recordUndo () {
+    let state = this._undoState;
+
+    this._undoState = { line: this.line, cursor: this.cursor };
+
+    if (this.line === state.line || this._edit === 'undo') return;
+
+    if (this._edit !== 'insert' || this._previousEdit !== 'insert') {
+      this._undoStack.push(state);
+    }
+
+    this._redoStack = [];
+  }
+
+  /**
+   * Undo the last change to the line.
+   *
+   * @private
+   */
+  _undo () {
+    this._restoreUndo(this._undoStack, this._redoStack);
+  }
+
+  /**
+   * Redo the last undone change.
+   *
+   * @private
+   */
+  _redo () {
+    this._restoreUndo(this._redoStack, this._undoStack);
+  }
+
+  _restoreUndo (from, to) {
+    let state = from.pop();
+
+    if (!state) return;
+
+    to.push({ line: this.line, cursor: this.cursor });
+
+    this._edit = 'undo';
+    this.line = state.line;
+    this.cursor = state.cursor;
+    this._refreshLine();
+  }
+
+  /**
+   * Clear the screen and redraw the prompt and line at the top.
+   */
+  clearScreen () {
+    Readline.cursorTo(this.output, 0, 0);
+    Readline.clearScreenDown(this.output);
+    this.prevRows = 0;
+    this._refreshLine();
+  }
+
+  /**
+   * Write output above the prompt, redrawing the prompt and the line being
+   * edited below it.
+   *
+   * @param {string} text
+   */
+  printAbove (text) {
+    if (this.prevRows > 0) {
+      Readline.moveCursor(this.output, 0, -this.prevRows);
+    }
+
+    Readline.cursorTo(this.output, 0);
+    Readline.clearScreenDown(this.output);
+
+    this._writeToOutput(text);
+    this.prevRows = 0;
+    this._refreshLine();
+  }
+
+  /**
+   * Submit a line as if it had been typed at the prompt.
+   *
+   * @param {string} line
+   */
+  submit (line) {
+    let { line: typed, cursor } = this;
+
+    this.line = line;
+    this.cursor = line.length;
+    this._refreshLine();
+    this._line();
+
+    // Give back what the user was typing
+    this.line = typed;
+    this.cursor = cursor;
+    this._resetUndo();
+    this._refreshLine();
+  }
+
+  /**
+   * Abandon the current line without submitting it, marking it with ^C.
+   */
+  abortLine () {
+    this._moveCursor(+Infinity);
+    this._clearSuggestion();
+    this._writeToOutput('^C');
+    this.clearLine();
+  }
+
+  /**
+   * Accept the line on Return or Enter.
+   *
+   * @param {Object} key
+   *
+   * @private
+   */
+  _acceptReturn (key) {
+    // A \n right after a \r ends the same line
+    if (key.name === 'enter') {
+      if (this._sawReturnAt === 0 || Date.now() - this._sawReturnAt > this.crlfDelay) {
+        this._acceptLine();
+      }
+
+      this._sawReturnAt = 0;
+    } else {
+      this._sawReturnAt = Date.now();
+      this._acceptLine();
+    }
+  }
+
+  /**
+   * Submit the input on Enter, unless it needs to be continued on a new line.
+   *
+   * @private
+   */
+  _acceptLine () {
+    let line = this.line;
+
+    if (isIncomplete(line) || (this.isIncomplete && this.isIncomplete(line))) {
+      this.line += '\n';
+      this.cursor = this.line.length;
+      this._refreshLine();
+      return;
+    }
+
+    if (this._pastedLines && line.indexOf('\n') !== -1) {
+      if (this.confirmPaste) {
+        this._startConfirm();
+      } else {
+        this._submitPaste();
+      }
+
+      return;
+    }
+
+    this._line();
+  }
+
+  /**
+   * Submit each line of pasted input on its own, as if they had been typed
+   * one after the other.
+   *
+   * @private
+   */
+  _submitPaste () {
+    let lines = this.line.split('\n').filter(line => line.trim());
+
+    if (lines.length === 0) {
+      lines = [''];
+    }
+
+    lines.forEach((line) => {
+      this.line = line;
+      this.cursor = line.length;
+      this._refreshLine();
+      this._line();
+    });
+  }
+
+  /**
+   * Insert pasted text as a single edit. Line breaks in it are kept until
+   * the input is submitted, when each line is submitted separately.
+   *
+   * @private
+   *
+   * @param {string} data
+   */
+  _paste (data) {
+    // Control characters could run editing commands when the line is shown
+    // eslint-disable-next-line no-control-regex
+    let text = data.replace(/\r\n?/g, '\n').replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+
+    if (!text) return;
+
+    this._edit = 'paste';
+    this._pastedLines = this._pastedLines || text.indexOf('\n') !== -1;
+
+    this.line = this.line.slice(0, this.cursor) + text + this.line.slice(this.cursor);
+    this.cursor += text.length;
+    this._refreshLine();
+  }
+
+  /**
+   * Ask whether to submit input with several pasted lines, in place of the
+   * prompt.
+   *
+   * @private
+   */
+  _startConfirm () {
+    let count = this.line.split('\n').length;
+
+    this._confirm = { prompt: this._prompt };
+    this._prompt = `(submit ${count} pasted lines? y/n) `;
+    this._refreshLine();
+  }
+
+  /**
+   * Handle the answer to the paste confirmation: `y` submits the input,
+   * Ctrl+C discards it and any other key goes back to editing it.
+   *
+   * @private
+   */
+  _confirmWrite (data, key) {
+    this._prompt = this._confirm.prompt;
+    this._confirm = null;
+
+    if (key.name === 'y' && !key.ctrl && !key.meta) {
+      this._submitPaste();
+    } else if (key.name === 'c' && key.ctrl) {
+      this.abortLine();
+    } else {
+      this._refreshLine();
+    }
+  }
+
+  /**
+   * Put the continuation prompt after each line break of multi-line input.
+   *
+   * @private
+   *
+   * @param {string} text
+   *
+   * @return {string}
+   */
+  _withContinuation (text) {
+    return text.replace(/\n/g, `\n${this.continuationPrompt}`);
+  }
+
+  /**
+   * @private
+   *
+   * @return {number} Index where the line of the buffer holding the cursor
+   *   starts
+   */
+  _lineStart () {
+    return this.cursor === 0 ? 0 : this.line.lastIndexOf('\n', this.cursor - 1) + 1;
+  }
+
+  /**
+   * Move the cursor up a line of multi-line input, keeping its column, or
+   * recall the previous history entry from the first line.
+   *
+   * @private
+   */
+  _previousLine () {
+    let start = this._lineStart();
+
+    if (start === 0) {
+      this._historyPrev();
+      return;
+    }
+
+    let previousStart = start === 1 ? 0 : this.line.lastIndexOf('\n', start - 2) + 1;
+
+    this.cursor = Math.min(previousStart + (this.cursor - start), start - 1);
+    this._refreshLine();
+  }
+
+  /**
+   * Move the cursor down a line of multi-line input, keeping its column, or
+   * recall the next history entry from the last line.
+   *
+   * @private
+   */
+  _nextLine () {
+    let end = this.line.indexOf('\n', this.cursor);
+
+    if (end === -1) {
+      this._historyNext();
+      return;
+    }
+
+    let nextEnd = this.line.indexOf('\n', end + 1);
+
+    if (nextEnd === -1) {
+      nextEnd = this.line.length;
+    }
+
+    this.cursor = Math.min(end + 1 + (this.cursor - this._lineStart()), nextEnd);
+    this._refreshLine();
   }
 
   _line () {
@@ -1023,6 +1784,137 @@ export default class Readline extends EventEmitter {
     }
   }
 
+  /**
+   * Start an incremental history search.
+   *
+   * @private
+   *
+   * @param {number} step - +1 to search older entries, -1 for newer ones
+   */
+  _startSearch (step) {
+    this._search = {
+      query: '',
+      step,
+      start: this.historyIndex + step,
+      index: null,
+      failed: false,
+      prompt: this._prompt,
+      original: { line: this.line, cursor: this.cursor },
+    };
+
+    this._refreshSearch();
+  }
+
+  /**
+   * Handle a key while searching the history.
+   *
+   * @private
+   *
+   * @return {boolean} Whether the key was consumed by the search
+   */
+  _searchWrite (data, key) {
+    let search = this._search;
+
+    if (key.ctrl && (key.name === 'r' || key.name === 's')) {
+      search.step = key.name === 'r' ? +1 : -1;
+
+      if (search.index === null) {
+        search.start = this.historyIndex + search.step;
+      } else {
+        this._searchHistory(search.index + search.step);
+      }
+    } else if ((key.ctrl && key.name === 'g') || key.name === 'escape') {
+      this._endSearch(true);
+    } else if (key.name === 'backspace' && !key.ctrl && !key.meta) {
+      search.query = search.query.slice(0, -1);
+      search.index = null;
+      search.failed = false;
+
+      if (search.query) {
+        this._searchHistory(search.start);
+      } else {
+        this.line = search.original.line;
+        this.cursor = search.original.cursor;
+      }
+    } else if (typeof data === 'string' && data && !key.ctrl && !key.meta &&
+               !CONTROL_CHARACTERS.test(data)) {
+      search.query += data;
+      this._searchHistory(search.index === null ? search.start : search.index);
+    } else {
+      this._endSearch(false);
+      return false;
+    }
+
+    if (this._search) {
+      this._refreshSearch();
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the next history entry containing the query, starting at `from` and
+   * moving in the direction of the search.
+   *
+   * @private
+   *
+   * @param {number} from - History index to start at
+   */
+  _searchHistory (from) {
+    let search = this._search;
+
+    for (let i = from; i >= 0 && i < this.history.length; i += search.step) {
+      let entry = this.history[i];
+      let position = search.step > 0 ?
+        entry.lastIndexOf(search.query) : entry.indexOf(search.query);
+
+      if (position !== -1) {
+        search.index = i;
+        search.failed = false;
+        this.line = entry;
+        this.cursor = position;
+        return;
+      }
+    }
+
+    search.failed = true;
+  }
+
+  /**
+   * @private
+   */
+  _refreshSearch () {
+    let search = this._search;
+    let name = search.step > 0 ? 'reverse-i-search' : 'i-search';
+
+    this._prompt = `(${search.failed ? 'failed ' : ''}${name})\`${search.query}': `;
+    this._refreshLine();
+  }
+
+  /**
+   * Leave the history search, either keeping the found entry or restoring the
+   * line as it was before the search started.
+   *
+   * @private
+   *
+   * @param {boolean} restore
+   */
+  _endSearch (restore) {
+    let search = this._search;
+
+    this._search = null;
+    this._prompt = search.prompt;
+
+    if (restore) {
+      this.line = search.original.line;
+      this.cursor = search.original.cursor;
+    } else if (search.index !== null) {
+      this.historyIndex = search.index;
+    }
+
+    this._refreshLine();
+  }
+
   /**
    * Move the cursor x places in a direction.
    * @private
@@ -1040,9 +1932,13 @@ export default class Readline extends EventEmitter {
       this.cursor = this.line.length;
     }
 
+    if (this._isHidden()) return;
+
     let newPos = this._getCursorPos();
 
-    if (oldPos.rows === newPos.rows) {
+    // Suggestions only show with the cursor at the end of the line, so one
+    // shown has to be cleared and one may have to be shown
+    if (oldPos.rows === newPos.rows && !this._suggestion && !this._suggest()) {
       let diffCursor = this.cursor - oldCursor;
       let diffWidth;
 
@@ -1052,7 +1948,7 @@ export default class Readline extends EventEmitter {
         diffWidth = getStringWidth(this.line.substring(this.cursor, oldCursor));
       }
 
-      Readline.moveCursor(this.ouput, diffWidth, 0);
+      Readline.moveCursor(this.output, diffWidth, 0);
       this.prevRows = newPos.rows;
     } else {
       this._refreshLine();
@@ -1072,5 +1968,5 @@ Object.defineProperty(Readline.prototype, 'columns', {
     }
 
     return columns
-  }
+  },
 });
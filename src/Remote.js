@@ -0,0 +1,282 @@
+import { assign, isFunction, isPlainObject } from 'lodash';
+import chalk from 'chalk';
+
+chalk.enabled = true;
+
+/**
+ * Remote process backend.
+ *
+ * Connects hterm to a process running on a server over a WebSocket. Every
+ * frame is a JSON text message with a `type`:
+ *
+ * Sent to the server:
+ *   `{ "type": "stdin", "data": "ls\r" }` - Keystrokes, as the terminal
+ *     would send them to a pty
+ *   `{ "type": "resize", "columns": 80, "rows": 24 }` - Terminal size, sent
+ *     when the connection opens and whenever the terminal is resized
+ *
+ * Sent by the server:
+ *   `{ "type": "stdout", "data": "..." }` - Output to display as is
+ *   `{ "type": "exit", "code": 0 }` - The process ended with this status;
+ *     the server should close the connection afterwards
+ *
+ * When the connection drops before the process exited, the backend shows a
+ * banner and reconnects with an increasing delay. Each connection is a new
+ * session as far as the protocol is concerned.
+ */
+
+// WebSocket.OPEN, which implementations passed in config may not define
+const OPEN = 1;
+
+const DEFAULT_RECONNECT = {
+  delay: 1000,
+  maxDelay: 30000,
+  retries: Infinity,
+};
+
+export default class RemoteCommand {
+  /**
+   * @param {Object} hterm - What hterm's runCommandClass passes to commands
+   * @param {Object} config
+   * @param {string} config.url - WebSocket URL of the server
+   * @param {string|string[]} config.protocols - WebSocket sub-protocols
+   * @param {boolean|Object} config.reconnect - false to stay disconnected, or
+   *   `{ delay, maxDelay, retries }` with the delays in milliseconds
+   * @param {function} config.WebSocket - WebSocket implementation, the
+   *   browser's by default
+   * @param {function} config.onStatus - Called with 'connecting', 'open',
+   *   'reconnecting' or 'closed'
+   * @param {function} config.onResize - Called with the new columns and rows
+   * @param {function} config.onExit - Called with the exit status
+   */
+  constructor (hterm, config = isPlainObject(hterm && hterm.argString) ? hterm.argString : {}) {
+    this._hterm = hterm;
+    this._config = config;
+    this._reconnect = config.reconnect === false ? null :
+      assign({}, DEFAULT_RECONNECT, config.reconnect);
+
+    this._socket = null;
+    this._timer = null;
+    this._attempts = 0;
+    this._exited = false;
+    this._destroyed = false;
+    this._inputEnabled = true;
+
+    this.status = null;
+    this.columns = hterm.io.columnCount || 80;
+    this.rows = hterm.io.rowCount || 24;
+  }
+
+  run () {
+    let io = this._hterm.io;
+
+    io.onVTKeystroke = io.sendString = (data) => {
+      if (this._inputEnabled) {
+        this._send({ type: 'stdin', data });
+      }
+    };
+
+    io.onTerminalResize = (columns, rows) => this.resize(columns, rows);
+
+    this._connect();
+  }
+
+  _connect () {
+    let WebSocketImpl = this._config.WebSocket || WebSocket;
+    let socket = new WebSocketImpl(this._config.url, this._config.protocols);
+
+    this._socket = socket;
+    this._setStatus(this._attempts > 0 ? 'reconnecting' : 'connecting');
+
+    socket.onopen = () => {
+      if (this._attempts > 0) {
+        this._banner(chalk.green('[reconnected]'));
+      }
+
+      this._attempts = 0;
+      this._setStatus('open');
+      this._send({ type: 'resize', columns: this.columns, rows: this.rows });
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+
+      try {
+        message = JSON.parse(event.data);
+      } catch (err) {
+        return;
+      }
+
+      this._onMessage(message);
+    };
+
+    socket.onclose = () => {
+      if (this._socket !== socket) return;
+
+      this._socket = null;
+
+      if (!this._exited && !this._destroyed) {
+        this._scheduleReconnect();
+      }
+    };
+  }
+
+  _onMessage (message) {
+    if (message.type === 'stdout') {
+      this.write(String(message.data));
+    } else if (message.type === 'exit') {
+      let code = Number(message.code) || 0;
+
+      this._exited = true;
+      this._banner(chalk.dim(`[process exited with status ${code}]`));
+      this.exit(code);
+    }
+  }
+
+  /**
+   * Try to connect again after a delay that doubles with each attempt, or
+   * give up once the retries are used up.
+   */
+  _scheduleReconnect () {
+    let reconnect = this._reconnect;
+
+    if (!reconnect || this._attempts >= reconnect.retries) {
+      this._banner(chalk.red('[disconnected]'));
+      this._setStatus('closed');
+      return;
+    }
+
+    let delay = Math.min(reconnect.delay * Math.pow(2, this._attempts), reconnect.maxDelay);
+
+    this._attempts += 1;
+    this._banner(chalk.yellow(`[disconnected, reconnecting in ${Math.ceil(delay / 1000)}s]`));
+    this._setStatus('reconnecting');
+
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this._connect();
+    }, delay);
+  }
+
+  _send (message) {
+    let socket = this._socket;
+
+    if (socket && socket.readyState === OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  _setStatus (status) {
+    if (this.status === status) return;
+
+    this.status = status;
+
+    if (isFunction(this._config.onStatus)) {
+      this._config.onStatus(status);
+    }
+  }
+
+  _banner (text) {
+    this.write(`\r\n${text}\r\n`);
+  }
+
+  /**
+   * End the session: close the connection and stop reconnecting.
+   */
+  destroy () {
+    let io = this._hterm.io;
+
+    this._destroyed = true;
+
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    if (this._socket) {
+      let socket = this._socket;
+
+      this._socket = null;
+      socket.close();
+    }
+
+    io.onVTKeystroke = io.sendString = function () {};
+    this._setStatus('closed');
+  }
+
+  /**
+   * @param {number} code
+   *
+   * @return {Promise}
+   */
+  exit (code) {
+    this.destroy();
+
+    if (isFunction(this._config.onExit)) {
+      this._config.onExit(code);
+    }
+
+    return Promise.resolve(code);
+  }
+
+  /**
+   * Send a line to the process as if the user typed it.
+   *
+   * @param {string} line
+   *
+   * @return {Promise} Resolves once the line is sent; the exit status of a
+   *   remote command isn't known
+   */
+  submit (line) {
+    if (this.status !== 'open') {
+      return Promise.reject(new Error('The session is not connected.'));
+    }
+
+    this._send({ type: 'stdin', data: `${line}\r` });
+
+    return Promise.resolve();
+  }
+
+  write (data) {
+    this._hterm.io.writeUTF8(data);
+  }
+
+  print (data) {
+    this.write(data);
+  }
+
+  clear () {
+    this.write('\x1b[H\x1b[2J');
+  }
+
+  /**
+   * @return {string[]} Always empty, the history lives on the server
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getHistory () {
+    return [];
+  }
+
+  setInputEnabled (enabled) {
+    this._inputEnabled = !!enabled;
+  }
+
+  /**
+   * Report the terminal size to the server.
+   *
+   * @param {number} columns
+   * @param {number} rows
+   */
+  resize (columns, rows) {
+    this.columns = columns;
+    this.rows = rows;
+
+    this._send({ type: 'resize', columns, rows });
+
+    if (isFunction(this._config.onResize)) {
+      this._config.onResize(columns, rows);
+    }
+  }
+}
+
+export {
+  RemoteCommand,
+};
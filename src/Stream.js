@@ -13,10 +13,28 @@ export class InputStream extends Readable {
 
     this.io = io;
     this.data = '';
+    this.enabled = true;
+    this.isTTY = true;
+    this.isRaw = false;
+  }
+
+  /**
+   * hterm always delivers keystrokes as they are typed, so there is no line
+   * discipline to turn off; the mode is only recorded for callers checking
+   * `isRaw`.
+   *
+   * @param {boolean} mode
+   */
+  setRawMode (mode) {
+    this.isRaw = !!mode;
+
+    return this;
   }
 
   _read () {
     return this.io.onVTKeystroke = this.io.sendString = str => {
+      if (!this.enabled) return;
+
       str = (() => {
         switch(str) {
           case UP: return ansiEscapes.cursorUp();
@@ -33,6 +51,15 @@ export class InputStream extends Readable {
     };
   }
 
+  /**
+   * Stop receiving keystrokes from hterm and end the stream.
+   */
+  detach () {
+    this.io.onVTKeystroke = this.io.sendString = function () {};
+
+    return this.push(null);
+  }
+
   pause () {
     super.pause(...arguments);
 
@@ -51,6 +78,26 @@ export class OutputStream extends Writable {
     super(...arguments);
 
     this.io = io;
+    this.isTTY = true;
+    this.columns = io.columnCount || 80;
+    this.rows = io.rowCount || 24;
+  }
+
+  /**
+   * Update the size of the terminal, like a TTY does on SIGWINCH.
+   *
+   * @param {number} columns
+   * @param {number} rows
+   *
+   * @emits {resize} When the size changed
+   */
+  resize (columns, rows) {
+    if (columns === this.columns && rows === this.rows) return;
+
+    this.columns = columns;
+    this.rows = rows;
+
+    this.emit('resize');
   }
 
   _write (data, enc, next) {
@@ -59,3 +106,58 @@ export class OutputStream extends Writable {
     return next();
   }
 }
+
+/**
+ * Writes to the terminal through a function, turning `\n` into `\r\n` like
+ * a TTY would. Used as the stdout of commands whose output isn't piped or
+ * redirected.
+ */
+export class TerminalWriter extends Writable {
+  constructor (write) {
+    super();
+
+    this.isTTY = true;
+    this._writeTerminal = write;
+  }
+
+  _write (data, enc, next) {
+    this._writeTerminal(data.toString().replace(/\r?\n/g, '\r\n'));
+
+    return next();
+  }
+}
+
+/**
+ * Collects everything written to it in `data`, for output redirected to a
+ * file.
+ */
+export class StringWriter extends Writable {
+  constructor () {
+    super();
+
+    this.data = '';
+  }
+
+  _write (data, enc, next) {
+    this.data += data.toString();
+
+    return next();
+  }
+}
+
+/**
+ * Read a stream, such as the stdin of a command, to its end.
+ *
+ * @param {Readable} stream
+ *
+ * @return {Promise} Resolves with everything read, as a string
+ */
+export function readAll (stream) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+
+    stream.on('data', (chunk) => { data += chunk.toString(); });
+    stream.on('end', () => resolve(data));
+    stream.on('error', reject);
+  });
+}
@@ -1,48 +1,398 @@
 import React from 'react';
 import { hterm, lib } from 'hterm-umdjs';
+import { assign, isEqual, isFunction, uniqueId } from 'lodash';
+import RemoteCommand from './Remote';
+
+// hterm reads its preferences from a single global storage. Each Terminal
+// uses its own profile in it, and preferences come from props on every mount,
+// so there is no point in persisting them.
+if (!hterm.defaultStorage) {
+  hterm.defaultStorage = new lib.Storage.Memory();
+}
+
+const DEFAULT_THEME = {
+  background: '#282c34',
+  foreground: '#abb2bf',
+  cursorColor: 'white',
+  cursorShape: 'beam',
+  cursorBlink: true,
+};
+
+const DEFAULT_PREFS = {
+  'ctrl-c-copy': true,
+  'ctrl-v-paste': true,
+  'use-default-window-copy': true,
+};
+
+// hterm fills its container, so the container has to take up the space the
+// terminal should have
+const DEFAULT_STYLE = {
+  position: 'relative',
+  width: '100%',
+  height: '100%',
+};
+
+// hterm preferences set by each theme key
+const THEME_PREFS = {
+  background: 'background-color',
+  foreground: 'foreground-color',
+  cursorColor: 'cursor-color',
+  cursorBlink: 'cursor-blink',
+  fontFamily: 'font-family',
+  fontSize: 'font-size',
+  palette: 'color-palette-overrides',
+};
 
 class Terminal extends React.Component {
   componentDidMount () {
-    hterm.defaultStorage = new lib.Storage.Local();
-    hterm.Terminal.prototype.overlaySize = function () {};
+    const { commandClass, name, remote, terminalRef } = this.props;
+    const id = uniqueId('react-term-');
+    // Terminals without a name keep their history apart from each other
+    const history = assign({ key: name || id }, this.props.history);
+    const terminal = new hterm.Terminal(id);
 
-    const { commandClass } = this.props;
-    const terminal = new hterm.Terminal();
-    window.terminal = terminal;
+    // Don't show the size overlay whenever the terminal is resized
+    terminal.overlaySize = function () {};
 
     terminal.onTerminalReady = () => {
+      if (this.terminal !== terminal) return;
+
       terminal.setCursorPosition(0, 0);
       terminal.setCursorVisible(true);
-      terminal.setCursorShape(hterm.Terminal.cursorShape.BEAM);
-      terminal.setCursorColor('white');
 
-      terminal.getPrefs().set('ctrl-c-copy', true);
-      terminal.getPrefs().set('ctrl-v-paste', true);
-      terminal.getPrefs().set('use-default-window-copy', true);
-
-      terminal.getPrefs().set('background-color', '#282c34');
-      terminal.getPrefs().set('foreground-color', '#abb2bf');
-      terminal.getPrefs().set('cursor-blink', true);
+      this._ready = true;
+      this.applyPreferences();
 
       let prompt = '>';
+      let config = {
+        prompt,
+        history,
+        fs: this.props.fs,
+        editMode: this.props.editMode,
+        keymap: this.props.keymap,
+        killRingSize: this.props.killRingSize,
+        continuationPrompt: this.props.continuationPrompt,
+        highlight: this.props.highlight,
+        autosuggest: this.props.autosuggest,
+        confirmPaste: this.props.confirmPaste,
+        onLine: line => this._emit('onLine', line),
+        onCommand: (cmd, args, status) => this._emit('onCommand', cmd, args, status),
+        onExit: code => this._emit('onExit', code),
+        onResize: (columns, rows) => this._emit('onResize', columns, rows),
+        onStatus: status => this._emit('onStatus', status),
+      };
+
+      // A remote backend replaces the in-browser command class
+      if (remote) {
+        terminal.runCommandClass(RemoteCommand, assign(config, remote));
+      } else {
+        terminal.runCommandClass(commandClass, config);
+      }
 
-      terminal.runCommandClass(commandClass, { prompt });
+      this.command = terminal.command;
+
+      if (isFunction(this.command.resize)) {
+        this.command.resize(terminal.screenSize.width, terminal.screenSize.height);
+      }
+
+      this._emit('onReady', this);
     };
 
+    this.terminal = terminal;
+
     terminal.decorate(this.terminalContainer);
     terminal.installKeyboard();
+    this.observeResize();
+
+    if (isFunction(terminalRef)) {
+      terminalRef(terminal);
+    }
+  }
+
+  componentDidUpdate (prevProps) {
+    if (!isEqual(prevProps.theme, this.props.theme) ||
+        !isEqual(prevProps.prefs, this.props.prefs)) {
+      this.applyPreferences();
+    }
+
+    if (prevProps.editMode !== this.props.editMode &&
+        this.command && isFunction(this.command.setEditMode)) {
+      this.command.setEditMode(this.props.editMode || 'emacs');
+    }
+
+    if (!isEqual(prevProps.keymap, this.props.keymap) &&
+        this.command && isFunction(this.command.setKeymap)) {
+      this.command.setKeymap(this.props.keymap);
+    }
+  }
+
+  componentWillUnmount () {
+    const { terminal } = this;
+    const { terminalRef } = this.props;
+
+    this.terminal = null;
+    this.command = null;
+    this._ready = false;
+
+    this.unobserveResize();
+
+    if (terminal.command && isFunction(terminal.command.destroy)) {
+      terminal.command.destroy();
+    }
+
+    terminal.uninstallKeyboard();
+    terminal.setCursorBlink(false);
+    terminal.getPrefs().deactivate();
+
+    if (isFunction(terminalRef)) {
+      terminalRef(null);
+    }
+  }
+
+  /**
+   * @param {string} prompt
+   */
+  setPrompt (prompt) {
+    if (this.command && isFunction(this.command.setPrompt)) {
+      this.command.setPrompt(prompt);
+    }
+  }
+
+  /**
+   * @return {string[]} The history entries, most recent first
+   */
+  getHistory () {
+    return this.command ? this.command.getHistory() : [];
+  }
+
+  /**
+   * Accept or ignore keyboard input. The cursor is hidden while input is
+   * disabled.
+   *
+   * @param {boolean} enabled
+   */
+  setInputEnabled (enabled) {
+    if (this.command) {
+      this.command.setInputEnabled(enabled);
+    }
+
+    if (this.terminal) {
+      this.terminal.setCursorVisible(!!enabled);
+    }
+  }
+
+  /**
+   * Apply the theme and preference props to hterm. Preferences given in
+   * `prefs` take precedence over the ones derived from the theme, and
+   * preferences dropped since the last call are reset to hterm's defaults.
+   */
+  applyPreferences () {
+    if (!this._ready) return;
+
+    const theme = assign({}, DEFAULT_THEME, this.props.theme);
+    const prefs = assign({}, DEFAULT_PREFS);
+    const shape = hterm.Terminal.cursorShape[String(theme.cursorShape).toUpperCase()];
+
+    Object.keys(THEME_PREFS).forEach((key) => {
+      if (theme[key] !== undefined) {
+        prefs[THEME_PREFS[key]] = theme[key];
+      }
+    });
+
+    assign(prefs, this.props.prefs);
+
+    (this._appliedPrefs || []).forEach((name) => {
+      if (!(name in prefs)) {
+        this.terminal.getPrefs().reset(name);
+      }
+    });
+
+    Object.keys(prefs).forEach((name) => {
+      this.terminal.getPrefs().set(name, prefs[name]);
+    });
+
+    this._appliedPrefs = Object.keys(prefs);
+
+    this.terminal.setCursorShape(shape || hterm.Terminal.cursorShape.BEAM);
+  }
+
+  /**
+   * Watch the container for size changes, with a ResizeObserver where the
+   * browser has one and window resizes otherwise.
+   */
+  observeResize () {
+    this._fit = () => this.fit();
+
+    if (typeof ResizeObserver === 'function') {
+      this._resizeObserver = new ResizeObserver(this._fit);
+      this._resizeObserver.observe(this.terminalContainer);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('resize', this._fit);
+    }
+  }
+
+  unobserveResize () {
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    } else if (this._fit && typeof window !== 'undefined') {
+      window.removeEventListener('resize', this._fit);
+    }
+
+    this._fit = null;
+  }
+
+  /**
+   * Fit hterm to the size of its container. hterm measures the container and
+   * reports the new number of columns and rows through `io.onTerminalResize`.
+   */
+  fit () {
+    if (this.terminal) {
+      this.terminal.scrollPort_.resize();
+    }
+  }
+
+  /**
+   * Write output to the terminal. Output written while no command is running
+   * appears above the prompt.
+   *
+   * @param {string} data
+   */
+  write (data) {
+    if (this.command) {
+      this.command.print(data);
+    }
+  }
+
+  /**
+   * Write output followed by a newline.
+   *
+   * @param {string} data
+   */
+  writeln (data) {
+    this.write(`${String(data).replace(/\r?\n/g, '\r\n')}\r\n`);
+  }
+
+  /**
+   * Clear the screen.
+   */
+  clear () {
+    if (this.command) {
+      this.command.clear();
+    }
+  }
+
+  /**
+   * Give the keyboard focus to the terminal.
+   */
+  focus () {
+    if (this.terminal) {
+      this.terminal.focus();
+    }
+  }
+
+  /**
+   * Run a line of input as if the user typed it.
+   *
+   * @param {string} line
+   *
+   * @return {Promise} Resolves with the exit status
+   */
+  runCommand (line) {
+    if (!this.command) {
+      return Promise.reject(new Error('The terminal is not ready.'));
+    }
+
+    return this.command.submit(line);
+  }
+
+  _emit (name, ...args) {
+    if (isFunction(this.props[name])) {
+      this.props[name](...args);
+    }
   }
 
   render () {
     return (
-      <div ref={div => this.terminalContainer = div}>
-      </div>
+      <div
+        ref={div => this.terminalContainer = div}
+        className={this.props.className}
+        style={assign({}, DEFAULT_STYLE, this.props.style)}
+      />
     );
   }
 }
 
 Terminal.propTypes = {
-  commandClass: React.PropTypes.func.isRequired
+  commandClass: React.PropTypes.func,
+  remote: React.PropTypes.shape({
+    url: React.PropTypes.string.isRequired,
+    protocols: React.PropTypes.oneOfType([
+      React.PropTypes.string,
+      React.PropTypes.arrayOf(React.PropTypes.string),
+    ]),
+    reconnect: React.PropTypes.oneOfType([
+      React.PropTypes.bool,
+      React.PropTypes.shape({
+        delay: React.PropTypes.number,
+        maxDelay: React.PropTypes.number,
+        retries: React.PropTypes.number,
+      }),
+    ]),
+    WebSocket: React.PropTypes.func,
+  }),
+  // Identifies the terminal, e.g. to keep its history across page loads
+  name: React.PropTypes.string,
+  theme: React.PropTypes.shape({
+    background: React.PropTypes.string,
+    foreground: React.PropTypes.string,
+    palette: React.PropTypes.oneOfType([
+      React.PropTypes.arrayOf(React.PropTypes.string),
+      React.PropTypes.objectOf(React.PropTypes.string),
+    ]),
+    cursorColor: React.PropTypes.string,
+    cursorShape: React.PropTypes.oneOf(['block', 'beam', 'underline']),
+    cursorBlink: React.PropTypes.bool,
+    fontFamily: React.PropTypes.string,
+    fontSize: React.PropTypes.number,
+  }),
+  prefs: React.PropTypes.object,
+  terminalRef: React.PropTypes.func,
+  onReady: React.PropTypes.func,
+  onLine: React.PropTypes.func,
+  onCommand: React.PropTypes.func,
+  onExit: React.PropTypes.func,
+  onResize: React.PropTypes.func,
+  onStatus: React.PropTypes.func,
+  className: React.PropTypes.string,
+  style: React.PropTypes.object,
+  // FileSystem, or its options, for command classes using withFileSystem
+  fs: React.PropTypes.object,
+  editMode: React.PropTypes.oneOf(['emacs', 'vi']),
+  // Key bindings over the defaults, as an object mapping key descriptors to
+  // actions or in the inputrc format, or a Keymap
+  keymap: React.PropTypes.oneOfType([
+    React.PropTypes.string,
+    React.PropTypes.object,
+  ]),
+  killRingSize: React.PropTypes.number,
+  continuationPrompt: React.PropTypes.string,
+  // Set to false to turn off syntax highlighting of the input
+  highlight: React.PropTypes.bool,
+  // Set to false to stop suggesting lines from the history as you type
+  autosuggest: React.PropTypes.bool,
+  // Ask before submitting input with several pasted lines
+  confirmPaste: React.PropTypes.bool,
+  history: React.PropTypes.shape({
+    storage: React.PropTypes.shape({
+      load: React.PropTypes.func.isRequired,
+      save: React.PropTypes.func.isRequired,
+    }),
+    key: React.PropTypes.string,
+    size: React.PropTypes.number,
+    ignoreDuplicates: React.PropTypes.bool,
+    ignoreSpace: React.PropTypes.bool,
+  }),
 };
 
 export default Terminal;
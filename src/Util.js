@@ -9,10 +9,16 @@
 const ansi =
   /[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><]/g;
 
+// Ends text pasted in bracketed paste mode
+const PASTE_END = '\u001b[201~';
+
+// Pause in pasted text after which its end marker is taken to be lost
+const PASTE_TIMEOUT = 1000;
+
 
 module.exports = {
   emitKeys,
-  stripVTControlCharacters
+  stripVTControlCharacters,
 };
 
 /**
@@ -118,6 +124,9 @@ function stripVTControlCharacters(str) {
   ESC ESC [ num char
   ESC ESC O letter
 
+  Bracketed paste wraps pasted text in ESC [ 200 ~ and ESC [ 201 ~; the text
+  between them is emitted as a single `paste` key.
+
   - char is usually ~ but $ and ^ also happen with rxvt
   - modifier is 1 +
                 (shift     * 1) +
@@ -127,8 +136,12 @@ function stripVTControlCharacters(str) {
   - two leading ESCs apparently mean the same as one leading ESC
 */
 function* emitKeys(stream) {
+  // Input read past the end of a paste that lost its end marker
+  let next = '';
+
   while (true) {
-    let ch = yield;
+    let ch = next || (yield);
+    next = '';
     let s = ch;
     let escaped = false;
     const key = {
@@ -136,7 +149,7 @@ function* emitKeys(stream) {
       name: undefined,
       ctrl: false,
       meta: false,
-      shift: false
+      shift: false,
     };
 
     if (ch === '\x1b') {
@@ -207,13 +220,9 @@ function* emitKeys(stream) {
          */
         const cmdStart = s.length - 1;
 
-        // skip one or two leading digits
-        if (ch >= '0' && ch <= '9') {
+        // skip up to three leading digits
+        for (let digits = 0; digits < 3 && ch >= '0' && ch <= '9'; digits += 1) {
           s += (ch = yield);
-
-          if (ch >= '0' && ch <= '9') {
-            s += (ch = yield);
-          }
         }
 
         // skip modifier
@@ -232,7 +241,7 @@ function* emitKeys(stream) {
         const cmd = s.slice(cmdStart);
         let match;
 
-        if ((match = cmd.match(/^(\d\d?)(;(\d))?([~^$])$/))) {
+        if ((match = cmd.match(/^(\d{1,3})(;(\d))?([~^$])$/))) {
           code += match[1] + match[4];
           modifier = (match[3] || 1) - 1;
         } else if ((match = cmd.match(/^((\d;)?(\d))?([A-Za-z])$/))) {
@@ -341,6 +350,10 @@ function* emitKeys(stream) {
         case '[7^': key.name = 'home'; key.ctrl = true; break;
         case '[8^': key.name = 'end'; key.ctrl = true; break;
 
+        /* bracketed paste */
+        case '[200~': key.name = 'paste-start'; break;
+        case '[201~': key.name = 'paste-end'; break;
+
         /* misc. */
         case '[Z': key.name = 'tab'; key.shift = true; break;
         default: key.name = 'undefined'; break;
@@ -380,6 +393,33 @@ function* emitKeys(stream) {
       key.meta = true;
     }
 
+    if (key.name === 'paste-start') {
+      // Collect the pasted text, without reading anything in it as keys.
+      // Input after a long pause is typed again, so a lost end marker
+      // doesn't swallow everything.
+      let last = Date.now();
+
+      s = '';
+
+      while (!s.endsWith(PASTE_END)) {
+        let c = yield;
+
+        if (c && Date.now() - last > PASTE_TIMEOUT) {
+          next = c;
+          break;
+        }
+
+        last = Date.now();
+        s += c;
+      }
+
+      if (s.endsWith(PASTE_END)) {
+        s = s.slice(0, -PASTE_END.length);
+      }
+      escaped = false;
+      key.name = 'paste';
+    }
+
     key.sequence = s;
 
     if (s.length !== 0 && (key.name !== undefined || escaped)) {
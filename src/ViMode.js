@@ -0,0 +1,339 @@
+import { assign } from 'lodash';
+
+/**
+ * Vi editing mode for the Readline.
+ *
+ * Every line starts in insert mode, where keys behave as in the default
+ * emacs mode. Escape switches to normal mode, which supports the motions
+ * `h l w b e 0 $`, the operators `d c y` followed by a motion (or doubled to
+ * act on the whole line), `x D C p P`, `u` and Ctrl+R to undo and redo
+ * (sharing the Readline's undo history), `i a A I` to go back to
+ * insert mode and `j k` to move through the history. Other keys with Ctrl or
+ * Meta, Enter and the arrow keys keep their usual meaning in both modes.
+ */
+
+const DEFAULT_INDICATORS = {
+  insert: '(ins) ',
+  normal: '(cmd) ',
+};
+
+const BLANK = /\s/;
+const WORD = /\w/;
+
+/**
+ * The keypress decoder only knows a lone Escape once no more input follows,
+ * and then reports it with Meta set; Meta+Escape is sent as two escapes.
+ *
+ * @param {Object} key
+ *
+ * @return {boolean}
+ */
+function isEscape (key) {
+  return key.name === 'escape' && !key.ctrl && (!key.meta || key.sequence === '\x1b');
+}
+
+/**
+ * @param {string} ch
+ *
+ * @return {number} 0 for blanks, 1 for word characters, 2 for punctuation
+ */
+function charClass (ch) {
+  if (BLANK.test(ch)) return 0;
+
+  return WORD.test(ch) ? 1 : 2;
+}
+
+function nextWordStart (line, pos) {
+  let len = line.length;
+  let i = pos;
+
+  if (i < len && charClass(line[i]) !== 0) {
+    let cls = charClass(line[i]);
+
+    while (i < len && charClass(line[i]) === cls) i += 1;
+  }
+
+  while (i < len && charClass(line[i]) === 0) i += 1;
+
+  return i;
+}
+
+function previousWordStart (line, pos) {
+  let i = pos - 1;
+
+  while (i > 0 && charClass(line[i]) === 0) i -= 1;
+
+  if (i <= 0) return 0;
+
+  let cls = charClass(line[i]);
+
+  while (i > 0 && charClass(line[i - 1]) === cls) i -= 1;
+
+  return i;
+}
+
+function wordEnd (line, pos) {
+  let len = line.length;
+  let i = pos + 1;
+
+  while (i < len && charClass(line[i]) === 0) i += 1;
+
+  if (i >= len) return Math.max(len - 1, 0);
+
+  let cls = charClass(line[i]);
+
+  while (i + 1 < len && charClass(line[i + 1]) === cls) i += 1;
+
+  return i;
+}
+
+// Motions return the position they move to, and whether an operator applied
+// with them includes the character at that position
+const MOTIONS = {
+  h: (line, cursor) => ({ to: Math.max(cursor - 1, 0) }),
+  l: (line, cursor) => ({ to: Math.min(cursor + 1, line.length) }),
+  w: (line, cursor) => ({ to: nextWordStart(line, cursor) }),
+  b: (line, cursor) => ({ to: previousWordStart(line, cursor) }),
+  e: (line, cursor) => ({ to: wordEnd(line, cursor), inclusive: true }),
+  0: () => ({ to: 0 }),
+  $: line => ({ to: Math.max(line.length - 1, 0), inclusive: true }),
+};
+
+// Keys that are handled the same way in both modes
+const PASSTHROUGH_KEYS = ['return', 'enter', 'tab', 'left', 'right', 'up', 'down', 'home', 'end'];
+
+export default class ViMode {
+  /**
+   * @param {Readline} rl
+   * @param {Object} indicators - Text shown before the prompt in `insert`
+   *   and `normal` mode
+   */
+  constructor (rl, indicators) {
+    this.rl = rl;
+    this.indicators = assign({}, DEFAULT_INDICATORS, indicators);
+    this.register = '';
+
+    this.reset();
+  }
+
+  /**
+   * Start over in insert mode, for a new line.
+   */
+  reset () {
+    this.mode = 'insert';
+    this.pending = null;
+  }
+
+  /**
+   * @return {string} Mode indicator to show before the prompt
+   */
+  indicator () {
+    return this.indicators[this.mode];
+  }
+
+  /**
+   * Handle a key.
+   *
+   * @param {string} data
+   * @param {Object} key
+   *
+   * @return {boolean} Whether the key was consumed
+   */
+  write (data, key) {
+    if (this.mode === 'insert') {
+      if (isEscape(key)) {
+        this._enterNormal();
+        return true;
+      }
+
+      return false;
+    }
+
+    if (isEscape(key)) {
+      this.pending = null;
+      return true;
+    }
+
+    if (key.ctrl && !key.meta && key.name === 'r') {
+      this.pending = null;
+      this.rl._redo();
+      this._setCursor(this.rl.cursor);
+      return true;
+    }
+
+    if (key.ctrl || key.meta || PASSTHROUGH_KEYS.indexOf(key.name) !== -1) {
+      this.pending = null;
+      return false;
+    }
+
+    if (typeof data === 'string' && data.length === 1) {
+      this._command(data);
+    }
+
+    // Anything else, such as pasted text, is ignored in normal mode
+    return true;
+  }
+
+  _command (ch) {
+    let rl = this.rl;
+    let { line, cursor } = rl;
+
+    if (this.pending) {
+      let operator = this.pending;
+
+      this.pending = null;
+
+      if (ch === operator) {
+        this._operate(operator, 0, line.length);
+        return;
+      }
+
+      // Like in vi, `cw` changes to the end of the word
+      let motion = MOTIONS[operator === 'c' && ch === 'w' ? 'e' : ch];
+
+      if (motion) {
+        let { to, inclusive } = motion(line, cursor);
+        let start = Math.min(cursor, to);
+        let end = Math.max(cursor, to) + (inclusive ? 1 : 0);
+
+        this._operate(operator, start, Math.min(end, line.length));
+      }
+
+      return;
+    }
+
+    if (MOTIONS[ch]) {
+      this._setCursor(MOTIONS[ch](line, cursor).to);
+      return;
+    }
+
+    switch (ch) {
+      case 'i':
+        this._enterInsert(cursor);
+        break;
+
+      case 'a':
+        this._enterInsert(Math.min(cursor + 1, line.length));
+        break;
+
+      case 'A':
+        this._enterInsert(line.length);
+        break;
+
+      case 'I':
+        this._enterInsert(0);
+        break;
+
+      case 'x':
+        if (line.length > 0) {
+          this._operate('d', cursor, cursor + 1);
+        }
+        break;
+
+      case 'd':
+      case 'c':
+      case 'y':
+        this.pending = ch;
+        break;
+
+      case 'D':
+        this._operate('d', cursor, line.length);
+        break;
+
+      case 'C':
+        this._operate('c', cursor, line.length);
+        break;
+
+      case 'p':
+        this._put(line.length > 0 ? cursor + 1 : cursor);
+        break;
+
+      case 'P':
+        this._put(cursor);
+        break;
+
+      case 'u':
+        rl._undo();
+        this._setCursor(rl.cursor);
+        break;
+
+      case 'j':
+        rl._historyNext();
+        this._setCursor(0);
+        break;
+
+      case 'k':
+        rl._historyPrev();
+        this._setCursor(0);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Apply an operator to the text between `start` and `end`.
+   *
+   * @param {string} operator - 'd', 'c' or 'y'
+   * @param {number} start
+   * @param {number} end
+   */
+  _operate (operator, start, end) {
+    let rl = this.rl;
+
+    this.register = rl.line.slice(start, end);
+
+    if (operator === 'y') {
+      this._setCursor(start);
+      return;
+    }
+
+    rl.line = rl.line.slice(0, start) + rl.line.slice(end);
+
+    if (operator === 'c') {
+      // The change and the text inserted after it are undone together
+      rl._edit = 'insert';
+      this._enterInsert(start);
+    } else {
+      this._setCursor(start);
+    }
+  }
+
+  _put (position) {
+    let rl = this.rl;
+
+    if (!this.register) return;
+
+    rl.line = rl.line.slice(0, position) + this.register + rl.line.slice(position);
+    this._setCursor((position + this.register.length) - 1);
+  }
+
+  _enterInsert (position) {
+    this.mode = 'insert';
+    this.rl.cursor = position;
+    this.rl._refreshLine();
+  }
+
+  _enterNormal () {
+    this.mode = 'normal';
+    this._setCursor(this.rl.cursor - 1);
+  }
+
+  /**
+   * Move the cursor, keeping it on a character as normal mode requires.
+   *
+   * @param {number} position
+   */
+  _setCursor (position) {
+    let rl = this.rl;
+    let last = this.mode === 'normal' ? rl.line.length - 1 : rl.line.length;
+
+    rl.cursor = Math.max(0, Math.min(position, last));
+    rl._refreshLine();
+  }
+}
+
+export {
+  ViMode,
+};
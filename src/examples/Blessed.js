@@ -1,27 +1,33 @@
 import { CommandClass, add_command } from '../CommandClass';
 import blessed from 'blessed';
 
+// blessed reads terminfo files through `fs`, so this example runs where
+// Node's modules are available; it isn't part of the browser stories.
+
 export default class ExampleBlessed extends CommandClass {
   constructor () {
     super(...arguments);
 
-    this.prompt = '*';
-
-    this.screen = blessed.screen({
-      input: this._input,
-      output: this._output
-    });
+    this.prompt = '* ';
   }
 
+  @add_command('test', { description: 'Show a full-screen box, q to quit' })
+  test (args, { signal }) {
+    let { input, output } = this.enterFullScreen();
+
+    let screen = blessed.screen({
+      input,
+      output,
+      terminal: 'xterm-256color',
+      smartCSR: true
+    });
 
-  @add_command('test')
-  test() {
     let box = blessed.box({
       top: 'center',
       left: 'center',
       width: '50%',
       height: '50%',
-      content: 'Hello {bold}world{/bold}!',
+      content: 'Hello {bold}world{/bold}!\n\nPress q to quit.',
       tags: true,
       border: {
         type: 'line'
@@ -38,8 +44,18 @@ export default class ExampleBlessed extends CommandClass {
       }
     });
 
-    this.screen.append(box);
+    screen.append(box);
+    box.focus();
+    screen.render();
+
+    return new Promise((resolve) => {
+      let quit = () => {
+        screen.destroy();
+        resolve();
+      };
 
-    this.screen.render();
+      screen.key(['q', 'escape', 'C-c'], quit);
+      signal.addEventListener('abort', quit);
+    });
   }
 }
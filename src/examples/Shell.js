@@ -1,28 +1,80 @@
-import { CommandClass, add_command } from '../index';
+import { CommandClass, add_command, readAll, withFileSystem } from '../index';
 
-export default class ExampleShell extends CommandClass {
+export default class ExampleShell extends withFileSystem(CommandClass) {
   constructor () {
     super(...arguments);
 
-    this.prompt = '[~] $';
+    this.prompt = '[\\w] $ ';
   }
 
-  @add_command('test')
-  test () {
-    this.writeln('test!');
+  @add_command('test', { description: 'Print a test message' })
+  test (args, { stdout }) {
+    stdout.write('test!\n');
   }
 
-  @add_command('age')
+  @add_command('age', { description: 'Ask for your age' })
   ask_for_age () {
     let res = this.ask('How old are you?');
     
-    res.then((answer) => {
+    return res.then((answer) => {
       this.writeln(`You are ${answer} years old!`);
     });
   }
 
-  @add_command('args')
-  argument_test (args) {
-    this.writeln(args);
+  @add_command('count', {
+    description: 'Count until interrupted',
+    options: [
+      { name: 'interval', alias: 'i', type: 'number', default: 1, description: 'Seconds between counts' }
+    ]
+  })
+  count ({ interval }, { signal, stdout }) {
+    let i = 0;
+
+    return new Promise((resolve) => {
+      let timer = setInterval(() => stdout.write(`${++i}\n`), interval * 1000);
+
+      signal.addEventListener('abort', () => {
+        clearInterval(timer);
+        resolve();
+      });
+    });
+  }
+
+  @add_command('args', {
+    description: 'Print the given arguments',
+    args: [{ name: 'args', variadic: true, description: 'Anything' }]
+  })
+  argument_test ({ args }, { stdout }) {
+    stdout.write(`${args.join(' ')}\n`);
+  }
+
+  @add_command('json', {
+    description: 'Pretty-print JSON, continuing on new lines until brackets are closed',
+    args: [{ name: 'json', variadic: true, required: true, description: 'JSON, objects in single quotes' }],
+    incomplete: (line) => {
+      let opened = (line.match(/[[{]/g) || []).length;
+      let closed = (line.match(/[\]}]/g) || []).length;
+
+      return opened > closed;
+    }
+  })
+  json ({ json }, { stdout }) {
+    stdout.write(`${JSON.stringify(JSON.parse(json.join(' ')), null, 2)}\n`);
+  }
+
+  @add_command('grep', {
+    description: 'Print the input lines matching a pattern',
+    args: [{ name: 'pattern', required: true, description: 'Regular expression' }]
+  })
+  grep ({ pattern }, { stdin, stdout }) {
+    let regexp = new RegExp(pattern);
+
+    return readAll(stdin).then((input) => {
+      let lines = input.split('\n').filter(line => line && regexp.test(line));
+
+      lines.forEach(line => stdout.write(`${line}\n`));
+
+      return lines.length > 0 ? 0 : 1;
+    });
   }
 }
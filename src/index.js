@@ -1,8 +1,19 @@
 import Terminal from './Terminal';
 import { CommandClass, add_command } from './CommandClass';
+import { LocalStorage, MemoryStorage } from './History';
+import RemoteCommand from './Remote';
+import { readAll } from './Stream';
+import FileSystem from './FileSystem';
+import withFileSystem from './FileSystemCommands';
+import Keymap from './Keymap';
 
 export { Terminal };
 export { CommandClass };
 export { add_command };
+export { LocalStorage, MemoryStorage };
+export { RemoteCommand };
+export { readAll };
+export { FileSystem, withFileSystem };
+export { Keymap };
 
 export default Terminal;
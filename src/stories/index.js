@@ -3,20 +3,68 @@ import { storiesOf, action } from '@kadira/storybook';
 import { Terminal } from '../index';
 
 import ExampleShell from '../examples/Shell';
-//import ExampleBlessed from '../examples/Blessed';
 
 storiesOf('Terminal', module)
   .add('default view', () => (
+    <Terminal commandClass={ExampleShell} />
+  ))
+  .add('virtual filesystem', () => (
     <Terminal
-      name={name}
+      name="filesystem"
       commandClass={ExampleShell}
+      fs={{
+        files: { home: { 'readme.txt': 'Try ls, cd, cat and mkdir.\n' }, tmp: {} },
+        storage: window.localStorage,
+      }}
     />
-  ));
-/*
-  .add('blessed', () => (
+  ))
+  .add('vi mode', () => (
+    <Terminal name="vi" commandClass={ExampleShell} editMode="vi" />
+  ))
+  .add('custom theme', () => (
+    <Terminal
+      name="themed"
+      commandClass={ExampleShell}
+      theme={{
+        background: '#fdf6e3',
+        foreground: '#657b83',
+        cursorColor: '#586e75',
+        cursorShape: 'block',
+        cursorBlink: false,
+        fontFamily: 'Menlo, monospace',
+        fontSize: 14,
+      }}
+      prefs={{ 'scrollbar-visible': false }}
+    />
+  ))
+  .add('imperative api', () => {
+    let terminal;
+
+    return (
+      <div>
+        <button onClick={() => terminal.writeln(`[${new Date().toISOString()}] log line`)}>
+          Log
+        </button>
+        <button onClick={() => terminal.runCommand('test')}>Run test</button>
+        <button onClick={() => terminal.clear()}>Clear</button>
+        <Terminal
+          name="api"
+          ref={(ref) => { terminal = ref; }}
+          commandClass={ExampleShell}
+          onReady={action('ready')}
+          onLine={action('line')}
+          onCommand={action('command')}
+          onExit={action('exit')}
+        />
+      </div>
+    );
+  })
+  // Start the test server with `npm run remote-server` first
+  .add('remote backend', () => (
     <Terminal
-      name={name}
-      commandClass={ExampleBlessed}
+      name="remote"
+      remote={{ url: 'ws://localhost:8022', reconnect: { retries: 5 } }}
+      onStatus={action('status')}
+      onExit={action('exit')}
     />
   ));
-*/
@@ -0,0 +1,749 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import chalk from 'chalk';
+import { PassThrough } from 'stream';
+import Readline from '../Readline';
+import { stripVTControlCharacters } from '../Util';
+import { readAll } from '../Stream';
+import { CommandClass, add_command } from '../CommandClass';
+const { describe, it } = global;
+
+class TestShell extends CommandClass {
+  @add_command('deploy', {
+    complete: [['staging', 'production'], partial => [`${partial}-now`]],
+    suggest: line => (line === 'deploy st' ? 'deploy staging' : undefined)
+  })
+  deploy () {}
+
+  @add_command('describe')
+  describe () {}
+
+  @add_command('wait')
+  wait () {
+    return new Promise(resolve => setTimeout(() => resolve(3), 10));
+  }
+
+  @add_command('fail')
+  fail () {
+    return Promise.reject(new Error('it broke'));
+  }
+
+  @add_command('forever')
+  forever (args, { signal }) {
+    this.signal = signal;
+    return new Promise(() => {});
+  }
+
+  @add_command('slow')
+  slow () {
+    this.write('working...');
+    return new Promise((resolve) => { this.finish = resolve; });
+  }
+
+  @add_command('greet')
+  greet () {
+    return this.ask('Name?').then(name => this.writeln(`hi ${name}`));
+  }
+
+  @add_command('echo')
+  echo (args) {
+    this.writeln(args.join(' '));
+  }
+
+  @add_command('sql', { incomplete: line => !line.trim().endsWith(';') })
+  sql (args) {
+    this.writeln(args.join(' '));
+  }
+}
+
+function attach (shell) {
+  let output = '';
+
+  shell._readline = {
+    output: { write: (data) => { output += data; } },
+    prompt: sinon.spy(),
+    history: [],
+    clearHistory: sinon.spy(),
+    cancelQuestion: sinon.spy(),
+    abortLine: sinon.spy(),
+    clearLine: sinon.spy(),
+    setHidden: sinon.spy(),
+    close: sinon.spy(),
+    pause: sinon.spy(),
+    resume: sinon.spy(),
+    removeAllListeners: sinon.spy(),
+  };
+
+  return () => output;
+}
+
+function complete (shell, line) {
+  return new Promise((resolve, reject) => {
+    shell.complete(line, (err, value) => (err ? reject(err) : resolve(value)));
+  });
+}
+
+describe('CommandClass', () => {
+  describe('complete', () => {
+    const shell = new TestShell({ io: {} });
+
+    it('should complete command names', async () => {
+      expect(await complete(shell, 'de')).to.be.deep.equal([['deploy', 'describe'], 'de']);
+      expect(await complete(shell, 'dep')).to.be.deep.equal([['deploy '], 'dep']);
+    });
+
+    it('should complete arguments with the command completers', async () => {
+      expect(await complete(shell, 'deploy pro')).to.be.deep.equal([['production '], 'pro']);
+      expect(await complete(shell, 'deploy production x')).to.be.deep.equal([['x-now '], 'x']);
+      expect(await complete(shell, 'describe x')).to.be.deep.equal([[], 'x']);
+    });
+  });
+
+  describe('onLine', () => {
+    it('should only prompt once an async command settles', async () => {
+      const shell = new TestShell({ io: {} });
+      attach(shell);
+
+      const running = shell.onLine('wait');
+      expect(shell._readline.prompt.called).to.be.equal(false);
+
+      await running;
+      expect(shell._readline.prompt.calledOnce).to.be.equal(true);
+      expect(shell.exitStatus).to.be.equal(3);
+    });
+
+    it('should call the onLine hook once for a line typed ahead', async () => {
+      const onLine = sinon.spy();
+      const shell = new TestShell({ io: {} }, { onLine });
+      attach(shell);
+
+      const running = shell.onLine('wait');
+      shell.onLine('echo queued');
+      await running;
+
+      expect(onLine.args).to.be.deep.equal([['wait'], ['echo queued']]);
+    });
+
+    it('should echo the prompt and a line typed ahead before running it', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      const running = shell.onLine('wait');
+      shell.onLine('echo queued');
+      expect(output()).to.be.equal('');
+
+      await running;
+      expect(output()).to.be.equal('> echo queued\r\nqueued\r\n');
+    });
+
+    it('should expose the last exit status as $?', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('wait');
+      await shell.onLine('echo $?');
+      await shell.onLine('echo $?');
+
+      expect(output()).to.be.equal('3\r\n0\r\n');
+    });
+
+    it('should print rejections and failed lookups', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('fail');
+      expect(output()).to.contain('fail: it broke');
+      expect(shell.exitStatus).to.be.equal(1);
+
+      await shell.onLine('nope');
+      expect(output()).to.contain('nope: command not found');
+      expect(shell.exitStatus).to.be.equal(127);
+    });
+
+    it('should ask the command whether the input is complete', () => {
+      const shell = new TestShell({ io: {} });
+
+      expect(shell.isIncomplete('sql select 1')).to.be.equal(true);
+      expect(shell.isIncomplete('sql select 1\nfrom t;')).to.be.equal(false);
+      expect(shell.isIncomplete('echo select')).to.be.equal(false);
+      expect(shell.isIncomplete('')).to.be.equal(false);
+    });
+
+    it('should run multi-line input as one line', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('echo a \\\nb "c\nd"');
+
+      expect(output()).to.be.equal('a b c\r\nd\r\n');
+    });
+
+    it('should report syntax errors instead of running the command', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('echo "oops');
+      expect(output()).to.contain('syntax error');
+      expect(output()).to.not.contain('oops');
+    });
+  });
+
+  describe('highlight', () => {
+    const shell = new TestShell({ io: {} });
+
+    it('should color commands, flags and quoted strings without changing the text', () => {
+      const line = 'echo -n "hi there" x | nope > echo';
+      const highlighted = shell.highlight(line);
+
+      expect(stripVTControlCharacters(highlighted)).to.be.equal(line);
+      expect(highlighted).to.be.equal([
+        chalk.green('echo'), ' ', chalk.cyan('-n'), ' ', chalk.yellow('"hi there"'), ' x | ',
+        chalk.red('nope'), ' > echo',
+      ].join(''));
+    });
+
+    it('should be used by the Readline unless turned off', () => {
+      const io = { writeUTF8: () => {}, columnCount: 80, rowCount: 24 };
+      const highlighted = new TestShell({ io }, {});
+      const plain = new TestShell({ io }, { highlight: false });
+
+      highlighted.run();
+      plain.run();
+
+      expect(highlighted._readline.highlighter).to.be.a('function');
+      expect(plain._readline.highlighter).to.be.equal(null);
+
+      highlighted.destroy();
+      plain.destroy();
+    });
+  });
+
+  describe('suggest', () => {
+    it('should ask the command first and fall back to the history', () => {
+      const shell = new TestShell({ io: {} });
+
+      attach(shell);
+      shell._readline.suggestFromHistory = line => (line === 'ec' ? 'echo hi' : undefined);
+
+      expect(shell.suggest('deploy st')).to.be.equal('deploy staging');
+      expect(shell.suggest('ec')).to.be.equal('echo hi');
+      expect(shell.suggest('xyz')).to.be.equal(undefined);
+    });
+  });
+
+  describe('type-ahead', () => {
+    it('should not draw keys typed while a command runs over its output', async () => {
+      let written = '';
+      const io = { writeUTF8: (data) => { written += data; }, columnCount: 80, rowCount: 24 };
+      const shell = new TestShell({ io }, {});
+
+      shell.run();
+      shell._readline.write('slow');
+      shell._readline.write(null, { name: 'return' });
+      expect(written.endsWith('working...')).to.be.equal(true);
+
+      shell._readline.write('ec');
+      shell._readline.write(null, { name: 'left' });
+      expect(written.endsWith('working...')).to.be.equal(true);
+
+      shell.write(' done\r\n');
+      shell.finish();
+      await shell._running;
+
+      expect(written).to.contain('working... done\r\n');
+      expect(stripVTControlCharacters(written.split('working... done\r\n')[1])).to.contain('> ec');
+      expect(shell._readline.line).to.be.equal('ec');
+      expect(shell._readline.cursor).to.be.equal(1);
+
+      shell.destroy();
+    });
+
+    it('should still show questions asked by the running command', async () => {
+      let written = '';
+      const io = { writeUTF8: (data) => { written += data; }, columnCount: 80, rowCount: 24 };
+      const shell = new TestShell({ io }, {});
+
+      shell.run();
+      shell._readline.write('greet');
+      shell._readline.write(null, { name: 'return' });
+      shell._readline.write('bob');
+      expect(stripVTControlCharacters(written)).to.contain('Name? bob');
+
+      shell._readline.write(null, { name: 'return' });
+      await shell._running;
+      expect(written).to.contain('hi bob\r\n');
+
+      shell.destroy();
+    });
+  });
+
+  describe('paste', () => {
+    it('should run each pasted line as its own command', async () => {
+      let written = '';
+      const io = { writeUTF8: (data) => { written += data; }, columnCount: 80, rowCount: 24 };
+      const shell = new TestShell({ io }, {});
+      const onCommand = sinon.spy();
+
+      shell._config.onCommand = onCommand;
+      shell.run();
+      shell._readline.write('echo a\necho b', { name: 'paste', sequence: 'echo a\necho b' });
+      shell._readline.write(null, { name: 'return' });
+      await shell._running;
+
+      expect(onCommand.args.map(args => args[1])).to.be.deep.equal([['a'], ['b']]);
+      expect(written).to.contain('a\r\n');
+      expect(written).to.not.contain('a echo b');
+
+      shell.destroy();
+    });
+  });
+
+  describe('_interrupt', () => {
+    it('should abort the running command', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      const running = shell.onLine('forever');
+      shell.onLine('echo queued');
+      shell._interrupt();
+
+      expect(output()).to.be.equal('^C\r\n');
+      expect(shell._readline.abortLine.called).to.be.equal(false);
+      expect(shell._readline.clearLine.calledOnce).to.be.equal(true);
+
+      await running;
+      expect(shell.signal.aborted).to.be.equal(true);
+      expect(shell.exitStatus).to.be.equal(130);
+      expect(shell._pending).to.be.deep.equal([]);
+      expect(shell._readline.prompt.calledOnce).to.be.equal(true);
+    });
+
+    it('should mark the interruption after the output of the command', async () => {
+      let written = '';
+      const io = { writeUTF8: (data) => { written += data; }, columnCount: 80, rowCount: 24 };
+      const shell = new TestShell({ io }, {});
+
+      shell.run();
+      shell._readline.write('slow');
+      shell._readline.write(null, { name: 'return' });
+      shell._readline.write('x');
+      shell._readline.write(null, { name: 'c', ctrl: true });
+      expect(written.endsWith('working...^C\r\n')).to.be.equal(true);
+
+      await shell._running;
+      expect(shell.exitStatus).to.be.equal(130);
+      expect(shell._readline.line).to.be.equal('');
+
+      shell.destroy();
+    });
+
+    it('should discard the line at an idle prompt', () => {
+      const shell = new TestShell({ io: {} });
+      attach(shell);
+
+      shell._interrupt();
+
+      expect(shell._readline.abortLine.calledOnce).to.be.equal(true);
+      expect(shell._readline.prompt.calledOnce).to.be.equal(true);
+    });
+  });
+
+  describe('command registries', () => {
+    class OtherShell extends CommandClass {
+      @add_command('deploy')
+      other () {
+        this.writeln('other');
+      }
+    }
+
+    class ChildShell extends TestShell {
+      @add_command('child')
+      child () {}
+    }
+
+    it('should keep the commands of unrelated classes apart', async () => {
+      const shell = new OtherShell({ io: {} });
+      const output = attach(shell);
+
+      expect(shell.getCommandNames()).to.be.deep.equal(['deploy', 'help', 'history']);
+
+      await shell.onLine('deploy');
+      expect(output()).to.be.equal('other\r\n');
+    });
+
+    it('should inherit commands from the parent class', () => {
+      const shell = new ChildShell({ io: {} });
+
+      expect(shell.getCommandNames()).to.contain('child');
+      expect(shell.getCommandNames()).to.contain('deploy');
+      expect(new TestShell({ io: {} }).getCommandNames()).to.not.contain('child');
+    });
+
+    it('should override and unregister commands per instance', async () => {
+      const shell = new TestShell({ io: {} });
+      const other = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      shell.registerCommand('echo', function (args) { this.writeln(`custom ${args[0]}`); });
+      shell.unregisterCommand('wait');
+
+      await shell.onLine('echo hi');
+      await shell.onLine('wait');
+
+      expect(output()).to.be.equal('custom hi\r\nwait: command not found\r\n');
+      expect(shell.getCommandNames()).to.not.contain('wait');
+      expect(other.getCommandNames()).to.contain('wait');
+    });
+  });
+
+  describe('help', () => {
+    class DocumentedShell extends CommandClass {
+      @add_command('deploy', {
+        description: 'Deploy the application',
+        args: [
+          { name: 'env', description: 'Target environment', required: true },
+          { name: 'ref', description: 'Git ref to deploy' }
+        ],
+        aliases: ['ship']
+      })
+      deploy () {
+        this.writeln('deploying');
+      }
+
+      @add_command('secret', { hidden: true, description: 'Hidden command' })
+      secret () {}
+    }
+
+    function run (line) {
+      const shell = new DocumentedShell({ io: {} });
+      const output = attach(shell);
+
+      return shell.onLine(line).then(() => chalk.stripColor(output()));
+    }
+
+    it('should list the visible commands with their descriptions', async () => {
+      const output = await run('help');
+
+      expect(output).to.match(/deploy\s+Deploy the application/);
+      expect(output).to.match(/help\s+Show the available commands/);
+      expect(output).to.not.contain('secret');
+      expect(output).to.not.contain('ship');
+    });
+
+    it('should describe a single command', async () => {
+      const output = await run('help ship');
+
+      expect(output).to.contain('Usage: deploy <env> [ref]');
+      expect(output).to.match(/env\s+Target environment/);
+      expect(output).to.contain('Aliases: ship');
+    });
+
+    it('should answer --help on any command instead of running it', async () => {
+      const output = await run('ship production --help');
+
+      expect(output).to.contain('Usage: deploy <env> [ref]');
+      expect(output).to.not.contain('deploying');
+    });
+
+    it('should pass --help on after a -- separator', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('echo -- --help');
+      expect(output()).to.be.equal('--help\r\n');
+
+      expect(await run('ship -- --help')).to.contain('deploying');
+    });
+
+    it('should fail for unknown topics', async () => {
+      expect(await run('help nope')).to.contain('no help topics match \'nope\'');
+    });
+  });
+
+  describe('argument schemas', () => {
+    class SchemaShell extends CommandClass {
+      @add_command('greet', {
+        args: [{ name: 'name', required: true }],
+        options: [{ name: 'times', alias: 'n', type: 'number', default: 1, description: 'Repeat count' }]
+      })
+      greet ({ name, times }) {
+        for (let i = 0; i < times; i += 1) {
+          this.writeln(`hello ${name}`);
+        }
+      }
+    }
+
+    it('should hand the parsed arguments to the handler', async () => {
+      const shell = new SchemaShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('greet -n 2 world');
+      expect(output()).to.be.equal('hello world\r\nhello world\r\n');
+    });
+
+    it('should print the usage when validation fails', async () => {
+      const shell = new SchemaShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('greet --times x world');
+      expect(chalk.stripColor(output())).to.contain('greet: option \'--times\' must be a number');
+      expect(chalk.stripColor(output())).to.contain('Usage: greet [options] <name>');
+      expect(shell.exitStatus).to.be.equal(2);
+    });
+
+    it('should list the options in the help', async () => {
+      const shell = new SchemaShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.onLine('help greet');
+      expect(chalk.stripColor(output()))
+        .to.match(/-n, --times <number>\s+Repeat count \(default: 1\)/);
+    });
+  });
+
+  describe('history', () => {
+    it('should list the entries oldest first', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = attach(shell);
+
+      shell._readline.history = ['history 2', 'pwd', 'ls'];
+
+      await shell.onLine('history');
+      expect(output()).to.be.equal('  1  ls\r\n  2  pwd\r\n  3  history 2\r\n');
+
+      await shell.onLine('history 2');
+      expect(output()).to.match(/ {2}2 {2}pwd\r\n {2}3 {2}history 2\r\n$/);
+    });
+
+    it('should clear the history', async () => {
+      const shell = new TestShell({ io: {} });
+      attach(shell);
+
+      await shell.onLine('history -c');
+      expect(shell._readline.clearHistory.calledOnce).to.be.equal(true);
+    });
+  });
+
+  describe('destroy', () => {
+    it('should abort the running command and release the readline', async () => {
+      const shell = new TestShell({ io: {} });
+      attach(shell);
+
+      shell._input = { detach: sinon.spy() };
+
+      const running = shell.onLine('forever');
+      shell.destroy();
+      await running;
+
+      expect(shell.signal.aborted).to.be.equal(true);
+      expect(shell._readline.close.calledOnce).to.be.equal(true);
+      expect(shell._input.detach.calledOnce).to.be.equal(true);
+      expect(shell._readline.prompt.called).to.be.equal(false);
+    });
+  });
+
+  describe('host API', () => {
+    function connect (shell, config) {
+      let output = '';
+      const input = new PassThrough();
+
+      shell._config = Object.assign({}, config);
+      shell._readline = new Readline({
+        input,
+        output: { write: (data) => { output += data; }, on: () => {}, removeListener: () => {} },
+        prompt: '$ ',
+      });
+      shell._readline.on('line', shell.bound('onLine'));
+
+      return () => output;
+    }
+
+    it('should submit lines as if typed and resolve with the status', async () => {
+      const shell = new TestShell({ io: {} });
+      const onLine = sinon.spy();
+      const onCommand = sinon.spy();
+      const output = connect(shell, { onLine, onCommand });
+
+      expect(await shell.submit('wait')).to.be.equal(3);
+      expect(shell.getHistory()).to.be.deep.equal(['wait']);
+      expect(output()).to.contain('$ wait');
+      expect(onLine.calledWith('wait')).to.be.equal(true);
+      expect(onCommand.calledWith('wait', [], 3)).to.be.equal(true);
+    });
+
+    it('should queue submitted lines behind a running command', async () => {
+      const shell = new TestShell({ io: {} });
+      const output = connect(shell);
+
+      shell.submit('wait');
+      await shell.submit('echo $?');
+
+      expect(output()).to.contain('3\r\n');
+    });
+
+    it('should print above the prompt while idle', () => {
+      const shell = new TestShell({ io: {} });
+      const output = connect(shell);
+
+      shell._readline.write('draft');
+      shell.print('log line\r\n');
+
+      expect(stripVTControlCharacters(output())).to.be.equal('draftlog line\r\n$ draft');
+    });
+
+    it('should report the exit status when the session ends', async () => {
+      const shell = new TestShell({ io: {} });
+      const onExit = sinon.spy();
+      connect(shell, { onExit });
+
+      await shell.submit('fail');
+      await shell.exit(shell.exitStatus);
+
+      expect(onExit.calledWith(1)).to.be.equal(true);
+    });
+  });
+
+  describe('full-screen mode', () => {
+    function createIO () {
+      const terminal = { written: '' };
+      const io = {
+        columnCount: 80,
+        rowCount: 24,
+        push () {
+          const child = Object.assign({}, io, { parent: this });
+          terminal.foreground = child;
+          return child;
+        },
+        pop () {
+          terminal.foreground = this.parent;
+        },
+        writeUTF8: (data) => { terminal.written += data; },
+      };
+
+      terminal.foreground = io;
+
+      return { io, terminal };
+    }
+
+    it('should hand raw streams to the app until the command finishes', async () => {
+      const { io, terminal } = createIO();
+      const shell = new TestShell({ io });
+      let screen;
+
+      attach(shell);
+      shell.registerCommand('top', function () {
+        screen = this.enterFullScreen();
+        screen.output.write('frame');
+      });
+
+      await shell.onLine('top');
+
+      expect(screen.input.isTTY).to.be.equal(true);
+      expect(screen.output.columns).to.be.equal(80);
+      expect(terminal.written).to.match(/^\u001b\[\?1049hframe.*\u001b\[\?1049l$/);
+      expect(terminal.written).to.contain('\u001b[?1005l');
+      expect(terminal.foreground).to.be.equal(io);
+      expect(shell._readline.pause.calledOnce).to.be.equal(true);
+      expect(shell._readline.resume.calledOnce).to.be.equal(true);
+      expect(shell._readline.prompt.calledAfter(shell._readline.resume)).to.be.equal(true);
+    });
+
+    it('should resize the app output with the terminal', () => {
+      const { io } = createIO();
+      const onResize = sinon.spy();
+      const shell = new TestShell({ io }, { onResize });
+      const resize = sinon.spy();
+
+      attach(shell);
+
+      const screen = shell.enterFullScreen();
+      screen.output.on('resize', resize);
+      screen.io.onTerminalResize(100, 40);
+
+      expect(resize.calledOnce).to.be.equal(true);
+      expect(screen.output.rows).to.be.equal(40);
+      expect(onResize.calledWith(100, 40)).to.be.equal(true);
+
+      shell.exitFullScreen();
+      expect(shell._screen).to.be.equal(null);
+    });
+  });
+
+  describe('pipelines', () => {
+    class PipeShell extends TestShell {
+      @add_command('lines')
+      lines (args, { stdout }) {
+        args.forEach(arg => stdout.write(`${arg}\n`));
+      }
+
+      @add_command('grep')
+      grep ([pattern], { stdin, stdout }) {
+        return readAll(stdin).then((input) => {
+          let lines = input.split('\n').filter(line => line && line.indexOf(pattern) !== -1);
+
+          lines.forEach(line => stdout.write(`${line}\n`));
+
+          return lines.length > 0 ? 0 : 1;
+        });
+      }
+    }
+
+    it('should pipe the stdout of a command into the stdin of the next', async () => {
+      const shell = new PipeShell({ io: {} });
+      const output = attach(shell);
+
+      expect(await shell.execute('lines info error:disk "error:net" | grep error | grep net')).to.be.equal(0);
+      expect(output()).to.be.equal('error:net\r\n');
+      expect(await shell.execute('lines info | grep error')).to.be.equal(1);
+    });
+
+    it('should redirect output to an in-memory file', async () => {
+      const shell = new PipeShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.execute('lines one two > out.txt');
+      await shell.execute('lines three >> out.txt; lines four > "other file"');
+      await shell.execute('lines lost > out.txt | grep lost');
+
+      expect(output()).to.be.equal('');
+      expect(shell.readFile('out.txt')).to.be.equal('lost\n');
+      expect(shell.readFile('other file')).to.be.equal('four\n');
+
+      await shell.execute('lines one two > out.txt');
+      await shell.execute('lines three >> out.txt');
+      expect(shell.readFile('out.txt')).to.be.equal('one\ntwo\nthree\n');
+    });
+
+    it('should chain pipelines on their exit status', async () => {
+      const shell = new PipeShell({ io: {} });
+      const output = attach(shell);
+
+      await shell.execute('fail && lines skipped || lines recovered; echo $?');
+      expect(stripVTControlCharacters(output())).to.be.equal('fail: it broke\r\nrecovered\r\n0\r\n');
+
+      expect(await shell.execute('wait && lines skipped')).to.be.equal(3);
+      expect(await shell.execute('lines ok && fail')).to.be.equal(1);
+      expect(await shell.execute('wait; lines ok')).to.be.equal(0);
+    });
+
+    it('should stop the whole line on ctrl+c', async () => {
+      const shell = new PipeShell({ io: {} });
+      const output = attach(shell);
+
+      const running = shell.execute('forever; lines after');
+      shell._interrupt();
+
+      expect(await running).to.be.equal(130);
+      expect(output()).to.not.contain('after');
+    });
+
+    it('should report syntax errors in the command line', async () => {
+      const shell = new PipeShell({ io: {} });
+      const output = attach(shell);
+
+      expect(await shell.execute('lines a |')).to.be.equal(2);
+      expect(await shell.execute('lines a > $MISSING')).to.be.equal(2);
+      expect(stripVTControlCharacters(output())).to.contain('ambiguous redirect');
+    });
+  });
+});
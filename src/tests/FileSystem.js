@@ -0,0 +1,81 @@
+import { expect } from 'chai';
+import { FileSystem, normalize } from '../FileSystem';
+const { describe, it } = global;
+
+function createStorage () {
+  const items = {};
+
+  return {
+    items,
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; },
+  };
+}
+
+describe('FileSystem', () => {
+  const files = { etc: { motd: 'hello\n' }, home: { jane: {} } };
+
+  it('should normalize paths', () => {
+    expect(normalize('../a/./b//c/..', '/home/jane')).to.be.equal('/home/a/b');
+    expect(normalize('/../..')).to.be.equal('/');
+    expect(normalize('x')).to.be.equal('/x');
+  });
+
+  it('should read, write and list entries', () => {
+    const fs = new FileSystem({ files });
+
+    fs.writeFile('/home/jane/notes', 'one\n');
+    fs.writeFile('/home/jane/notes', 'two\n', true);
+    fs.mkdir('/home/jane/a/b', true);
+
+    expect(fs.readFile('/etc/motd')).to.be.equal('hello\n');
+    expect(fs.readFile('/home/jane/notes')).to.be.equal('one\ntwo\n');
+    expect(fs.readdir('/home/jane')).to.be.deep.equal(['a', 'notes']);
+    expect(fs.isDirectory('/home/jane/a/b')).to.be.equal(true);
+    expect(files.home.jane).to.be.deep.equal({});
+  });
+
+  it('should fail like a filesystem would', () => {
+    const fs = new FileSystem({ files });
+    const code = (fn) => {
+      try {
+        fn();
+      } catch (err) {
+        return err.code;
+      }
+
+      return null;
+    };
+
+    expect(code(() => fs.readFile('/nope'))).to.be.equal('ENOENT');
+    expect(code(() => fs.readFile('/etc'))).to.be.equal('EISDIR');
+    expect(code(() => fs.readdir('/etc/motd'))).to.be.equal('ENOTDIR');
+    expect(code(() => fs.writeFile('/etc/motd/x', ''))).to.be.equal('ENOTDIR');
+    expect(code(() => fs.writeFile('/etc', ''))).to.be.equal('EISDIR');
+    expect(code(() => fs.mkdir('/etc'))).to.be.equal('EEXIST');
+    expect(code(() => fs.mkdir('/a/b'))).to.be.equal('ENOENT');
+    expect(() => fs.readFile('/nope')).to.throw('/nope: No such file or directory');
+  });
+
+  it('should import and export the tree as JSON', () => {
+    const fs = new FileSystem();
+
+    fs.load(files);
+    fs.writeFile('/todo', 'x');
+
+    expect(JSON.parse(JSON.stringify(fs))).to.be.deep.equal(Object.assign({ todo: 'x' }, files));
+    expect(() => fs.load('nope')).to.throw(TypeError);
+  });
+
+  it('should persist the tree in a storage', () => {
+    const storage = createStorage();
+    const fs = new FileSystem({ files, storage, key: 'fs' });
+
+    fs.mkdir('/tmp');
+
+    const restored = new FileSystem({ files: {}, storage, key: 'fs' });
+
+    expect(restored.isDirectory('/tmp')).to.be.equal(true);
+    expect(restored.readFile('/etc/motd')).to.be.equal('hello\n');
+  });
+});
@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { CommandClass } from '../CommandClass';
+import { withFileSystem } from '../FileSystemCommands';
+import { stripVTControlCharacters } from '../Util';
+const { describe, it } = global;
+
+class Shell extends withFileSystem(CommandClass) {}
+
+function createShell () {
+  const shell = new Shell({ io: {} }, {
+    fs: { files: { etc: { motd: 'hello\n', '.hidden': '' }, home: { jane: { notes: '' } } } },
+  });
+  let output = '';
+
+  shell._readline = {
+    output: { write: (data) => { output += data; } },
+    setPrompt: sinon.spy(),
+    prompt: sinon.spy(),
+  };
+
+  return { shell, output: () => stripVTControlCharacters(output) };
+}
+
+function complete (shell, line) {
+  return new Promise((resolve, reject) => {
+    shell.complete(line, (err, value) => (err ? reject(err) : resolve(value)));
+  });
+}
+
+describe('withFileSystem', () => {
+  it('should change and print the current directory', async () => {
+    const { shell, output } = createShell();
+
+    shell.env.HOME = '/home/jane';
+
+    await shell.execute('cd /etc && pwd && cd ~ && pwd; cd ../..; pwd');
+    expect(output()).to.be.equal('/etc\r\n/home/jane\r\n/\r\n');
+
+    await shell.execute('cd ~');
+    expect(shell._readline.setPrompt.lastCall.args[0]).to.be.equal('~ $ ');
+
+    expect(await shell.execute('cd notes')).to.be.equal(1);
+    expect(output()).to.contain('cd: /home/jane/notes: Not a directory');
+  });
+
+  it('should list, create and print files', async () => {
+    const { shell, output } = createShell();
+
+    await shell.execute('ls; ls /etc; ls -a /etc; mkdir -p /tmp/a; echo hi > /tmp/a/f; cat /tmp/a/f /etc/motd');
+    expect(output()).to.be.equal('etc  home\r\nmotd\r\n.hidden  motd\r\nhi\r\nhello\r\n');
+  });
+
+  it('should read and write files through pipes and redirections', async () => {
+    const { shell } = createShell();
+
+    await shell.execute('cd /home/jane; ls /etc | cat > list; echo -n x >> list');
+    expect(shell.fs.readFile('/home/jane/list')).to.be.equal('motd\nx');
+  });
+
+  it('should report a redirection to a missing directory once', async () => {
+    const { shell, output } = createShell();
+
+    expect(await shell.execute('echo x > /missing/dir/x')).to.be.equal(1);
+    expect(output()).to.be.equal('/missing/dir: No such file or directory\r\n');
+  });
+
+  it('should complete paths', async () => {
+    const { shell } = createShell();
+
+    expect(await complete(shell, 'cat /e')).to.be.deep.equal([['/etc/'], '/e']);
+    expect(await complete(shell, 'cat /etc/m')).to.be.deep.equal([['/etc/motd '], '/etc/m']);
+    expect(await complete(shell, 'cd h')).to.be.deep.equal([['home/'], 'h']);
+  });
+});
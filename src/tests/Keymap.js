@@ -0,0 +1,103 @@
+import { PassThrough, Writable } from 'stream';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Keymap, { PREFIX, normalizeKey } from '../Keymap';
+import Readline from '../Readline';
+const { describe, it } = global;
+
+function createReadline (keymap) {
+  let input = new PassThrough();
+  let output = new Writable({ write: (chunk, enc, next) => next() });
+
+  return new Readline({ input, output, prompt: '> ', keymap });
+}
+
+describe('Keymap', () => {
+  it('should normalize key descriptors', () => {
+    expect(normalizeKey('ctrl+a')).to.be.equal('ctrl+a');
+    expect(normalizeKey('Shift+Ctrl+Backspace')).to.be.equal('ctrl+shift+backspace');
+    expect(normalizeKey('C-M-x')).to.be.equal('ctrl+meta+x');
+    expect(normalizeKey('Meta-Rubout')).to.be.equal('meta+backspace');
+    expect(normalizeKey('alt+-')).to.be.equal('meta+-');
+    expect(normalizeKey('A')).to.be.equal('shift+a');
+    expect(normalizeKey('F5')).to.be.equal('f5');
+    expect(normalizeKey(' C-x  Control-u')).to.be.equal('ctrl+x ctrl+u');
+    expect(() => normalizeKey('hyper+a')).to.throw(TypeError, 'Unknown modifier');
+  });
+
+  it('should look up keypresses, telling unbound keys from unknown ones', () => {
+    const keymap = new Keymap({ 'ctrl+u': null, f5: 'clear-screen' });
+
+    expect(keymap.lookup({ name: 'a', ctrl: true })).to.be.equal('beginning-of-line');
+    expect(keymap.lookup({ name: 'f5' })).to.be.equal('clear-screen');
+    expect(keymap.lookup({ name: 'u', ctrl: true })).to.be.equal(null);
+    expect(keymap.lookup({ name: 'q', ctrl: true })).to.be.equal(undefined);
+    expect(keymap.lookup({ sequence: '\x1b.', meta: true })).to.be.equal(undefined);
+    expect(keymap.lookup({ sequence: '\x1f' })).to.be.equal('undo');
+    expect(keymap.lookup({ name: 'x', ctrl: true })).to.be.equal(PREFIX);
+    expect(() => keymap.bind('ctrl+q', 'no-such-action')).to.throw(TypeError, 'Unknown action');
+  });
+
+  it('should load bindings in the inputrc format', () => {
+    const keymap = new Keymap([
+      '# Bindings',
+      'set editing-mode vi',
+      '',
+      'Control-t: end-of-line',
+      '"\\M-h": backward-kill-word',
+      '"\\C-a": unbound',
+    ].join('\n'));
+
+    expect(keymap.variables).to.be.deep.equal({ 'editing-mode': 'vi' });
+    expect(keymap.lookup({ name: 't', ctrl: true })).to.be.equal('end-of-line');
+    expect(keymap.lookup({ name: 'h', meta: true })).to.be.equal('backward-kill-word');
+    expect(keymap.lookup({ name: 'a', ctrl: true })).to.be.equal(null);
+
+    keymap.load('"\\C-x\\C-e": end-of-line');
+    expect(keymap.lookup([{ name: 'x', ctrl: true }, { name: 'e', ctrl: true }])).to.be.equal('end-of-line');
+
+    expect(() => keymap.load('\n"\\C-": undo')).to.throw(SyntaxError, 'line 2: unsupported key sequence');
+    expect(() => keymap.load('Control-t end-of-line')).to.throw(SyntaxError, 'line 1');
+  });
+
+  describe('in Readline', () => {
+    it('should keep the default emacs bindings', () => {
+      const rl = createReadline();
+
+      rl.write('hello world');
+      rl.write(null, { name: 'a', ctrl: true });
+      rl.write(null, { name: 'f', meta: true });
+      expect(rl.cursor).to.be.equal(6);
+
+      rl.write(null, { name: 'k', ctrl: true });
+      expect(rl.line).to.be.equal('hello ');
+    });
+
+    it('should run rebound and custom actions and ignore unbound keys', () => {
+      const action = sinon.spy();
+      const rl = createReadline({ 'ctrl+a': 'end-of-line', f5: action, 'ctrl+u': null });
+
+      rl.write('abc');
+      rl.write(null, { name: 'left' });
+      rl.write(null, { name: 'u', ctrl: true });
+      expect(rl.line).to.be.equal('abc');
+
+      rl.write(null, { name: 'home' });
+      rl.write(null, { name: 'a', ctrl: true });
+      expect(rl.cursor).to.be.equal(3);
+
+      rl.write('\x1b[15~', { name: 'f5', sequence: '\x1b[15~' });
+      expect(action.calledWith(rl, '\x1b[15~')).to.be.equal(true);
+      expect(rl.line).to.be.equal('abc');
+    });
+
+    it('should switch the edit mode from inputrc text', () => {
+      const rl = createReadline('set editing-mode vi');
+
+      expect(rl.editMode).to.be.equal('vi');
+
+      rl.setKeymap('set editing-mode emacs');
+      expect(rl.editMode).to.be.equal('emacs');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { expect } from 'chai';
+import { isIncomplete, parseArguments, parseCommandLine, scanCommandLine, tokenize } from '../Parser';
+const { describe, it } = global;
+
+describe('Parser', () => {
+  describe('tokenize', () => {
+    it('should split on any amount of whitespace', () => {
+      expect(tokenize('  say  hello   world ')).to.be.deep.equal(['say', 'hello', 'world']);
+    });
+
+    it('should keep quoted strings together', () => {
+      expect(tokenize('say "hello world" \'a  b\' ""')).to.be.deep.equal(['say', 'hello world', 'a  b', '']);
+      expect(tokenize('say pre"fix"ed')).to.be.deep.equal(['say', 'prefixed']);
+    });
+
+    it('should handle backslash escapes', () => {
+      expect(tokenize('say hello\\ world \\"')).to.be.deep.equal(['say', 'hello world', '"']);
+      expect(tokenize('say "a \\"b\\" \\n"')).to.be.deep.equal(['say', 'a "b" \\n']);
+    });
+
+    it('should expand variables outside of single quotes', () => {
+      const env = { USER: 'jane', HOME: '/home/jane' };
+
+      // eslint-disable-next-line no-template-curly-in-string
+      expect(tokenize('echo $USER ${HOME}/x "$USER!" \'$USER\' $', env))
+        .to.be.deep.equal(['echo', 'jane', '/home/jane/x', 'jane!', '$USER', '$']);
+      expect(tokenize('echo $MISSING', env)).to.be.deep.equal(['echo']);
+    });
+
+    it('should throw on unterminated input', () => {
+      expect(() => tokenize('say "hello')).to.throw(SyntaxError, /matching '"'/);
+      expect(() => tokenize('say \'hello')).to.throw(SyntaxError, /matching '''/);
+      expect(() => tokenize('say hello\\')).to.throw(SyntaxError);
+      expect(() => tokenize('say ${HOME')).to.throw(SyntaxError);
+    });
+  });
+
+  describe('parseCommandLine', () => {
+    const commands = line => parseCommandLine(line).map(chain => ({
+      op: chain.op,
+      commands: chain.commands.map(({ text, redirect }) => [
+        text.trim(),
+        redirect && redirect.text.trim(),
+      ]),
+    }));
+
+    it('should split pipelines and chains', () => {
+      expect(commands('logs -f | grep error && echo ok || echo no; date')).to.be.deep.equal([
+        { op: null, commands: [['logs -f', null], ['grep error', null]] },
+        { op: '&&', commands: [['echo ok', null]] },
+        { op: '||', commands: [['echo no', null]] },
+        { op: ';', commands: [['date', null]] },
+      ]);
+      expect(parseCommandLine('  ')).to.be.deep.equal([]);
+      expect(parseCommandLine('date;')).to.have.length(1);
+    });
+
+    it('should parse redirections', () => {
+      const [{ commands: [first, second] }] = parseCommandLine('logs > out.txt | cat >> "a b"');
+
+      expect(first.redirect).to.be.deep.equal({ text: ' out.txt ', append: false });
+      expect(second.redirect).to.be.deep.equal({ text: ' "a b"', append: true });
+    });
+
+    it('should leave quoted and escaped operators alone', () => {
+      expect(commands('echo "a | b" \'c; d\' e\\&\\& f')).to.be.deep.equal([
+        { op: null, commands: [['echo "a | b" \'c; d\' e\\&\\& f', null]] },
+      ]);
+    });
+
+    it('should throw on misplaced operators', () => {
+      expect(() => parseCommandLine('| grep x')).to.throw(SyntaxError, /unexpected token '\|'/);
+      expect(() => parseCommandLine('ls &&')).to.throw(SyntaxError, /after '&&'/);
+      expect(() => parseCommandLine('ls >')).to.throw(SyntaxError, /after '>'/);
+      expect(() => parseCommandLine('ls ;;')).to.throw(SyntaxError);
+      expect(() => parseCommandLine('sleep 1 &')).to.throw(SyntaxError, /background/);
+      expect(() => parseCommandLine('echo "a | b')).to.throw(SyntaxError, /matching '"'/);
+    });
+
+    it('should join lines ending with a backslash', () => {
+      expect(commands('echo a \\\nb "c\\\nd" \'e\\\nf\'')).to.be.deep.equal([
+        { op: null, commands: [['echo a b "cd" \'e\\\nf\'', null]] },
+      ]);
+    });
+  });
+
+  describe('scanCommandLine', () => {
+    it('should split words, operators and whitespace, keeping every character', () => {
+      const line = 'grep -e "a b"c|wc  >>out \\| \'open';
+      const tokens = scanCommandLine(line);
+
+      expect(tokens.map(token => token.text).join('')).to.be.equal(line);
+      expect(tokens.map(({ type, text }) => `${type}:${text}`)).to.be.deep.equal([
+        'word:grep', 'space: ', 'word:-e', 'space: ', 'word:"a b"c', 'operator:|', 'word:wc',
+        'space:  ', 'operator:>>', 'word:out', 'space: ', 'word:\\|', 'space: ', 'word:\'open',
+      ]);
+      expect(tokens[4].parts).to.be.deep.equal([{ text: '"a b"', quoted: true }, { text: 'c', quoted: false }]);
+      expect(tokens[13].parts).to.be.deep.equal([{ text: '\'open', quoted: true }]);
+    });
+  });
+
+  describe('isIncomplete', () => {
+    it('should detect trailing backslashes and open quotes', () => {
+      expect(isIncomplete('echo a \\')).to.be.equal(true);
+      expect(isIncomplete('echo "a\nb')).to.be.equal(true);
+      expect(isIncomplete('echo \'it\\\'s')).to.be.equal(false);
+      expect(isIncomplete('echo a \\\\')).to.be.equal(false);
+      expect(isIncomplete('echo "a\nb" \\"')).to.be.equal(false);
+    });
+  });
+
+  describe('parseArguments', () => {
+    const schema = {
+      args: [
+        { name: 'env', required: true },
+        { name: 'files', variadic: true },
+      ],
+      options: [
+        { name: 'force', alias: 'f', type: 'boolean' },
+        { name: 'verbose', alias: 'v', type: 'boolean', default: true },
+        { name: 'count', alias: 'n', type: 'number', default: 1 },
+        { name: 'tag', alias: 't' },
+      ],
+    };
+
+    it('should fill positional arguments and defaults', () => {
+      expect(parseArguments(['prod'], schema)).to.be.deep.equal({
+        env: 'prod', files: [], force: false, verbose: true, count: 1,
+      });
+      expect(parseArguments(['prod', 'a', 'b'], schema).files).to.be.deep.equal(['a', 'b']);
+    });
+
+    it('should parse long and short options', () => {
+      expect(parseArguments(['--force', '--count=3', '--tag', 'v1', 'prod'], schema))
+        .to.include({ force: true, count: 3, tag: 'v1', env: 'prod' });
+      expect(parseArguments(['-fn', '5', '-tv2', '--no-verbose', 'prod'], schema))
+        .to.include({ force: true, count: 5, tag: 'v2', verbose: false });
+      expect(parseArguments(['prod', '--', '--force'], schema))
+        .to.include({ force: false }).and.to.have.property('files').deep.equal(['--force']);
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => parseArguments([], schema)).to.throw(/missing required argument <env>/);
+      expect(() => parseArguments(['prod', '--nope'], schema)).to.throw(/unknown option '--nope'/);
+      expect(() => parseArguments(['prod', '-x'], schema)).to.throw(/unknown option '-x'/);
+      expect(() => parseArguments(['prod', '--count', 'many'], schema)).to.throw(/must be a number/);
+      expect(() => parseArguments(['prod', '--tag'], schema)).to.throw(/requires a value/);
+      expect(() => parseArguments(['prod', '--force=yes'], schema)).to.throw(/does not take a value/);
+      expect(() => parseArguments(['a', 'b'], { args: [{ name: 'one' }] })).to.throw(/unexpected argument 'b'/);
+    });
+  });
+});
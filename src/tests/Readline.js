@@ -0,0 +1,666 @@
+import { PassThrough, Writable } from 'stream';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Readline from '../Readline';
+import { MemoryStorage } from '../History';
+import { OutputStream } from '../Stream';
+import { emitKeys } from '../Util';
+const { describe, it } = global;
+
+function createReadline (options) {
+  let written = '';
+  let input = new PassThrough();
+  let output = new Writable({
+    write (chunk, enc, next) {
+      written += chunk.toString();
+      next();
+    },
+  });
+
+  let rl = new Readline(Object.assign({ input, output, prompt: '> ' }, options));
+
+  return { rl, output: () => written };
+}
+
+describe('Readline', () => {
+  describe('tab completion', () => {
+    const completer = line => [['status', 'stop', 'start'].filter(c => c.startsWith(line)), line];
+
+    it('should complete the common prefix of the candidates', () => {
+      const { rl } = createReadline({ completer });
+
+      rl.write('s');
+      rl.write(null, { name: 'tab' });
+
+      expect(rl.line).to.be.equal('st');
+      expect(rl.cursor).to.be.equal(2);
+    });
+
+    it('should list the candidates on a second tab', () => {
+      const { rl, output } = createReadline({ completer });
+
+      rl.write('st');
+      rl.write(null, { name: 'tab' });
+      rl.write(null, { name: 'tab' });
+
+      expect(output()).to.contain('status\r\nstop\r\nstart\r\n');
+      expect(rl.line).to.be.equal('st');
+    });
+
+    it('should support callback style completers', () => {
+      const { rl } = createReadline({
+        completer: (line, callback) => callback(null, [['help'], line]),
+      });
+
+      rl.write('he');
+      rl.write(null, { name: 'tab' });
+
+      expect(rl.line).to.be.equal('help');
+    });
+  });
+
+  describe('ctrl+c', () => {
+    it('should emit SIGINT without editing the line', () => {
+      const { rl } = createReadline();
+      const sigint = sinon.spy();
+
+      rl.on('SIGINT', sigint);
+      rl.write('abc');
+      rl.write(null, { name: 'c', ctrl: true });
+
+      expect(sigint.calledOnce).to.be.equal(true);
+      expect(rl.line).to.be.equal('abc');
+    });
+
+    it('should mark and discard the line on abortLine', () => {
+      const { rl, output } = createReadline();
+
+      rl.write('abc');
+      rl.abortLine();
+
+      expect(output()).to.match(/abc\^C\r\n$/);
+      expect(rl.line).to.be.equal('');
+    });
+  });
+
+  describe('history', () => {
+    function enter (rl, line) {
+      rl.write(line);
+      rl.write(null, { name: 'return' });
+    }
+
+    it('should persist entries through the storage adapter', async () => {
+      const historyStorage = new MemoryStorage();
+      const first = createReadline({ historyStorage, historyKey: 'one' }).rl;
+
+      enter(first, 'ls');
+      enter(first, 'pwd');
+      await first._saveHistory();
+
+      const second = createReadline({ historyStorage, historyKey: 'one' }).rl;
+      const other = createReadline({ historyStorage, historyKey: 'two' }).rl;
+      await second.historyReady;
+      await other.historyReady;
+
+      expect(second.history).to.be.deep.equal(['pwd', 'ls']);
+      expect(other.history).to.be.deep.equal([]);
+    });
+
+    it('should support asynchronous adapters', async () => {
+      const historyStorage = {
+        load: () => new Promise(resolve => setTimeout(() => resolve(['old']), 5)),
+        save: sinon.spy(),
+      };
+      const { rl } = createReadline({ historyStorage });
+
+      enter(rl, 'new');
+      await rl.historyReady;
+
+      expect(rl.history).to.be.deep.equal(['new', 'old']);
+    });
+
+    it('should not save before the stored history has loaded', async () => {
+      const historyStorage = {
+        load: () => new Promise(resolve => setTimeout(() => resolve(['old']), 5)),
+        save: sinon.spy(),
+      };
+      const { rl } = createReadline({ historyStorage });
+
+      enter(rl, 'new');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(historyStorage.save.called).to.be.equal(false);
+
+      await rl.historyReady;
+      await rl._saveHistory();
+      expect(historyStorage.save.args.map(args => args[1])).to.be.deep.equal([
+        ['new', 'old'], ['new', 'old'],
+      ]);
+    });
+
+    it('should skip lines starting with a space when asked to', () => {
+      const { rl } = createReadline({ historyIgnoreSpace: true });
+
+      enter(rl, ' secret');
+      enter(rl, 'visible');
+
+      expect(rl.history).to.be.deep.equal(['visible']);
+    });
+
+    it('should drop earlier duplicates when asked to', () => {
+      const { rl } = createReadline({ historyIgnoreDuplicates: true, historySize: 3 });
+
+      ['a', 'b', 'a', 'c', 'd'].forEach(line => enter(rl, line));
+
+      expect(rl.history).to.be.deep.equal(['d', 'c', 'a']);
+    });
+  });
+
+  describe('history search', () => {
+    function searchable () {
+      const created = createReadline();
+      const { rl } = created;
+
+      ['git status', 'ls -la', 'git commit', 'npm test'].forEach((line) => {
+        rl.write(line);
+        rl.write(null, { name: 'return' });
+      });
+
+      return created;
+    }
+
+    it('should find the most recent match incrementally', () => {
+      const { rl, output } = searchable();
+
+      rl.write(null, { name: 'r', ctrl: true });
+      rl.write('g');
+      rl.write('i');
+
+      expect(rl.line).to.be.equal('git commit');
+      expect(output()).to.contain('(reverse-i-search)`gi\': \x1b[7mgi\x1b[27mt commit');
+    });
+
+    it('should step through older and newer matches', () => {
+      const { rl, output } = searchable();
+
+      rl.write(null, { name: 'r', ctrl: true });
+      rl.write('git');
+      rl.write(null, { name: 'r', ctrl: true });
+      expect(rl.line).to.be.equal('git status');
+
+      rl.write(null, { name: 'r', ctrl: true });
+      expect(output()).to.contain('(failed reverse-i-search)`git\'');
+
+      rl.write(null, { name: 's', ctrl: true });
+      expect(rl.line).to.be.equal('git commit');
+    });
+
+    it('should submit the match on enter', () => {
+      const { rl } = searchable();
+      const lines = [];
+
+      rl.on('line', line => lines.push(line));
+      rl.write(null, { name: 'r', ctrl: true });
+      rl.write('ls');
+      rl.write(null, { name: 'return' });
+
+      expect(lines).to.be.deep.equal(['ls -la']);
+    });
+
+    it('should restore the original line on ctrl+g and escape', () => {
+      const { rl } = searchable();
+
+      rl.write('draft');
+      rl.write(null, { name: 'r', ctrl: true });
+      rl.write('npm');
+      rl.write(null, { name: 'g', ctrl: true });
+      expect(rl.line).to.be.equal('draft');
+
+      rl.write(null, { name: 'r', ctrl: true });
+      rl.write('npm');
+      rl.write(null, { name: 'escape' });
+      expect(rl.line).to.be.equal('draft');
+      expect(rl._prompt).to.be.equal('> ');
+    });
+
+    it('should keep the match and apply other keys normally', () => {
+      const { rl } = searchable();
+
+      rl.write(null, { name: 'r', ctrl: true });
+      rl.write('status');
+      rl.write(null, { name: 'e', ctrl: true });
+
+      expect(rl.line).to.be.equal('git status');
+      expect(rl.cursor).to.be.equal('git status'.length);
+    });
+  });
+
+  describe('kill ring', () => {
+    const key = (name, modifiers) => Object.assign({ name }, modifiers);
+    const ctrl = { ctrl: true };
+    const meta = { meta: true };
+
+    it('should yank the last kill, joining consecutive kills', () => {
+      const { rl } = createReadline();
+
+      rl.write('one two three');
+      rl.write(null, key('w', ctrl));
+      rl.write(null, key('w', ctrl));
+      expect(rl.line).to.be.equal('one ');
+
+      rl.write(null, key('a', ctrl));
+      rl.write(null, key('y', ctrl));
+      expect(rl.line).to.be.equal('two threeone ');
+      expect(rl.cursor).to.be.equal(9);
+
+      rl.write(null, key('d', meta));
+      rl.write(null, key('k', ctrl));
+      expect(rl.killRing.entries).to.be.deep.equal(['one ', 'two three']);
+    });
+
+    it('should rotate through earlier kills with meta+y right after a yank', () => {
+      const { rl } = createReadline();
+
+      ['first', 'second', 'third'].forEach((word) => {
+        rl.write(word);
+        rl.write(null, key('u', ctrl));
+        rl.write('x');
+        rl.write(null, key('backspace'));
+      });
+
+      rl.write('> ');
+      rl.write(null, key('y', ctrl));
+      expect(rl.line).to.be.equal('> third');
+
+      rl.write(null, key('y', meta));
+      expect(rl.line).to.be.equal('> second');
+      rl.write(null, key('y', meta));
+      expect(rl.line).to.be.equal('> first');
+      rl.write(null, key('y', meta));
+      expect(rl.line).to.be.equal('> third');
+
+      rl.write('!');
+      rl.write(null, key('y', meta));
+      expect(rl.line).to.be.equal('> third!');
+    });
+
+    it('should keep at most killRingSize entries', () => {
+      const { rl } = createReadline({ killRingSize: 2 });
+
+      ['a', 'b', 'c'].forEach((word) => {
+        rl.write(word);
+        rl.write(null, key('u', ctrl));
+        rl.write(null, key('left'));
+      });
+
+      expect(rl.killRing.entries).to.be.deep.equal(['c', 'b']);
+    });
+  });
+
+  describe('undo', () => {
+    const undo = { sequence: '\x1f' };
+    const redo = { sequence: '\x1b\x1f', meta: true };
+
+    it('should undo consecutive inserts as one step, restoring the cursor', () => {
+      const { rl } = createReadline();
+
+      'echo'.split('').forEach(ch => rl.write(ch));
+      rl.write(null, { name: 'a', ctrl: true });
+      rl.write(null, { name: 'k', ctrl: true });
+      rl.write('ls');
+
+      rl.write(null, undo);
+      expect(rl.line).to.be.equal('');
+      expect(rl.cursor).to.be.equal(0);
+
+      rl.write(null, undo);
+      expect(rl.line).to.be.equal('echo');
+      expect(rl.cursor).to.be.equal(0);
+
+      rl.write(null, undo);
+      expect(rl.line).to.be.equal('');
+
+      rl.write(null, redo);
+      rl.write(null, redo);
+      expect(rl.line).to.be.equal('');
+      rl.write(null, redo);
+      expect(rl.line).to.be.equal('ls');
+      expect(rl.cursor).to.be.equal(2);
+    });
+
+    it('should undo history recall and support ctrl+x ctrl+u', () => {
+      const { rl } = createReadline();
+
+      rl.write('pwd');
+      rl.write(null, { name: 'return' });
+      rl.write(null, undo);
+      expect(rl.line).to.be.equal('');
+
+      rl.write('ls');
+      rl.write(null, { name: 'up' });
+      expect(rl.line).to.be.equal('pwd');
+
+      rl.write(null, { name: 'x', ctrl: true });
+      rl.write(null, { name: 'u', ctrl: true });
+      expect(rl.line).to.be.equal('ls');
+    });
+
+    it('should drop the redo steps on a new change', () => {
+      const { rl } = createReadline();
+
+      rl.write('abc');
+      rl.write(null, undo);
+      rl.write('x');
+      rl.write(null, redo);
+
+      expect(rl.line).to.be.equal('x');
+    });
+  });
+
+  describe('multi-line input', () => {
+    const enter = rl => rl.write(null, { name: 'return' });
+
+    it('should continue lines with an open quote or a trailing backslash', () => {
+      const { rl, output } = createReadline();
+      const lines = [];
+
+      rl.on('line', line => lines.push(line));
+      rl.write('echo "one');
+      enter(rl);
+      rl.write('two" \\');
+      enter(rl);
+      expect(lines).to.be.deep.equal([]);
+      expect(output()).to.contain('\r\n> two" \\\r\n> ');
+
+      rl.write('three');
+      enter(rl);
+
+      expect(lines).to.be.deep.equal(['echo "one\ntwo" \\\nthree']);
+      expect(rl.history).to.be.deep.equal(['echo "one\ntwo" \\\nthree']);
+    });
+
+    it('should ask the isIncomplete option and use the continuation prompt', () => {
+      const isIncomplete = line => !line.trim().endsWith(';');
+      const { rl, output } = createReadline({ isIncomplete, continuationPrompt: '... ' });
+      const lines = [];
+
+      rl.on('line', line => lines.push(line));
+      rl.write('select *');
+      enter(rl);
+      rl.write('from t;');
+      expect(rl._getCursorPos()).to.be.deep.equal({ cols: 11, rows: 1 });
+      enter(rl);
+
+      expect(output()).to.contain('\r\n... ');
+      expect(lines).to.be.deep.equal(['select *\nfrom t;']);
+    });
+
+    it('should move between the lines with the arrow keys before the history', () => {
+      const { rl } = createReadline();
+
+      rl.history = ['earlier'];
+      rl.line = 'first line\nsecond\nthird line';
+      rl.cursor = rl.line.length;
+
+      rl.write(null, { name: 'up' });
+      expect(rl.cursor).to.be.equal(17);
+      rl.write(null, { name: 'up' });
+      expect(rl.cursor).to.be.equal(6);
+      rl.write(null, { name: 'down' });
+      expect(rl.cursor).to.be.equal(17);
+
+      rl.write(null, { name: 'up' });
+      rl.write(null, { name: 'up' });
+      expect(rl.line).to.be.equal('earlier');
+    });
+  });
+
+  describe('highlighter', () => {
+    it('should render the highlighted line but place the cursor by the plain text', () => {
+      const highlighter = line => line.replace(/\w+/g, word => `\x1b[32m${word}\x1b[39m`);
+      const { rl, output } = createReadline({ highlighter });
+
+      rl.write('ls -la');
+
+      expect(output()).to.contain('> \x1b[32mls\x1b[39m -\x1b[32mla\x1b[39m');
+      expect(rl._getCursorPos()).to.be.deep.equal({ cols: 8, rows: 0 });
+    });
+  });
+
+  describe('autosuggestions', () => {
+    function suggesting () {
+      const result = createReadline();
+      const { rl } = result;
+
+      rl.suggester = line => rl.suggestFromHistory(line);
+      ['git status', 'git commit -m "first"', 'ls'].forEach((line) => {
+        rl.write(line);
+        rl.write(null, { name: 'return' });
+      });
+
+      return result;
+    }
+
+    it('should show the most recent matching history entry dimmed after the cursor', () => {
+      const { rl, output } = suggesting();
+
+      rl.write('gi');
+      expect(rl._suggestion).to.be.equal('git commit -m "first"');
+      expect(output()).to.contain('> gi\x1b[2mt commit -m "first"\x1b[22m');
+      expect(rl._getCursorPos()).to.be.deep.equal({ cols: 4, rows: 0 });
+
+      rl.write('t s');
+      expect(rl._suggestion).to.be.equal('git status');
+
+      rl.write('x');
+      expect(rl._suggestion).to.be.equal(null);
+    });
+
+    it('should accept the whole suggestion with right or end', () => {
+      const { rl } = suggesting();
+
+      rl.write('git s');
+      rl.write(null, { name: 'right' });
+      expect(rl.line).to.be.equal('git status');
+      expect(rl.cursor).to.be.equal(10);
+
+      rl.write(null, { name: 'backspace' });
+      rl.write(null, { name: 'end' });
+      expect(rl.line).to.be.equal('git status');
+    });
+
+    it('should accept the suggestion word by word with meta+f', () => {
+      const { rl } = suggesting();
+
+      rl.write('gi');
+      rl.write(null, { name: 'f', meta: true });
+      expect(rl.line).to.be.equal('git ');
+
+      rl.write(null, { name: 'f', meta: true });
+      expect(rl.line).to.be.equal('git commit ');
+    });
+
+    it('should only suggest with the cursor at the end of the line', () => {
+      const { rl, output } = suggesting();
+
+      rl.write('gi');
+      rl.write(null, { name: 'left' });
+      expect(rl._suggestion).to.be.equal(null);
+
+      rl.write(null, { name: 'right' });
+      expect(rl.line).to.be.equal('gi');
+      expect(rl._suggestion).to.be.equal('git commit -m "first"');
+
+      rl.write(null, { name: 'return' });
+      // The suggestion is erased from the submitted line
+      expect(output().split('\x1b[0J').pop()).to.be.equal('> gi\x1b[5G\r\n');
+    });
+
+    it('should redraw only for a character typed or a suggestion to show or clear', () => {
+      const { rl, output } = suggesting();
+      const redraws = () => output().split('\x1b[0J').length - 1;
+
+      let before = redraws();
+      rl.write('x');
+      expect(redraws() - before).to.be.equal(1);
+
+      before = redraws();
+      rl.write(null, { name: 'left' });
+      rl.write(null, { name: 'right' });
+      expect(redraws()).to.be.equal(before);
+
+      rl.write(null, { name: 'backspace' });
+      rl.write('g');
+      before = redraws();
+      rl.write(null, { name: 'left' });
+      expect(redraws() - before).to.be.equal(1);
+      expect(rl._suggestion).to.be.equal(null);
+    });
+
+    it('should be off without a suggester', () => {
+      const { rl } = createReadline();
+
+      rl.write('ls');
+      rl.write(null, { name: 'return' });
+      rl.write('l');
+      rl.write(null, { name: 'right' });
+
+      expect(rl._suggestion).to.be.equal(null);
+      expect(rl.line).to.be.equal('l');
+    });
+  });
+
+  describe('bracketed paste', () => {
+    // Feed raw input through the keypress decoder
+    function type (rl, data) {
+      rl.input.write(data);
+
+      return new Promise(resolve => setImmediate(resolve));
+    }
+
+    it('should turn bracketed paste mode on and off', () => {
+      const { rl, output } = createReadline();
+
+      expect(output()).to.contain('\x1b[?2004h');
+
+      rl.close();
+      expect(output()).to.contain('\x1b[?2004l');
+      expect(createReadline({ bracketedPaste: false }).output()).to.not.contain('\x1b[?2004h');
+    });
+
+    it('should insert pasted lines as one edit without submitting them', async () => {
+      const { rl } = createReadline();
+      const onLine = sinon.spy();
+
+      rl.on('line', onLine);
+      await type(rl, 'echo \x1b[200~one\r\ntwo\x1b[3~\x1b[201~!');
+
+      expect(rl.line).to.be.equal('echo one\ntwo[3~!');
+      expect(onLine.called).to.be.equal(false);
+
+      rl.write(null, { name: '_', ctrl: true });
+      rl.write(null, { name: '_', ctrl: true });
+      expect(rl.line).to.be.equal('echo ');
+
+      await type(rl, '\r');
+      expect(onLine.calledWith('echo ')).to.be.equal(true);
+    });
+
+    it('should ask before submitting pasted lines when configured to', async () => {
+      const { rl, output } = createReadline({ confirmPaste: true });
+      const onLine = sinon.spy();
+
+      rl.on('line', onLine);
+      await type(rl, '\x1b[200~ls\npwd\x1b[201~\r');
+
+      expect(onLine.called).to.be.equal(false);
+      expect(output()).to.contain('(submit 2 pasted lines? y/n) ls');
+
+      await type(rl, 'n');
+      expect(rl.line).to.be.equal('ls\npwd');
+      expect(rl._prompt).to.be.equal('> ');
+
+      await type(rl, '\ry');
+      expect(onLine.args).to.be.deep.equal([['ls'], ['pwd']]);
+    });
+
+    it('should submit each pasted line on its own', async () => {
+      const { rl } = createReadline();
+      const onLine = sinon.spy();
+
+      rl.on('line', onLine);
+      await type(rl, '\x1b[200~say a\nsay b\n\x1b[201~');
+      await type(rl, '\r');
+
+      expect(onLine.args).to.be.deep.equal([['say a'], ['say b']]);
+      expect(rl.history.slice(0, 2)).to.be.deep.equal(['say b', 'say a']);
+      expect(rl.line).to.be.equal('');
+    });
+
+    it('should discard pasted lines on ctrl+c at the confirmation', async () => {
+      const { rl } = createReadline({ confirmPaste: true });
+      const onLine = sinon.spy();
+
+      rl.on('line', onLine);
+      await type(rl, '\x1b[200~ls\npwd\x1b[201~\r\x03');
+
+      expect(onLine.called).to.be.equal(false);
+      expect(rl.line).to.be.equal('');
+      expect(rl._prompt).to.be.equal('> ');
+    });
+
+    it('should stop reading a paste whose end marker is lost after a pause', () => {
+      const stream = { emit: sinon.spy() };
+      const decoder = emitKeys(stream);
+      const now = sinon.stub(Date, 'now').returns(0);
+
+      try {
+        decoder.next();
+        '\x1b[200~ab'.split('').forEach(ch => decoder.next(ch));
+
+        now.returns(5000);
+        decoder.next('c');
+      } finally {
+        now.restore();
+      }
+
+      expect(stream.emit.args.map(args => args[1])).to.be.deep.equal(['ab', 'c']);
+      expect(stream.emit.args[0][2].name).to.be.equal('paste');
+    });
+  });
+
+  describe('submit', () => {
+    it('should keep the line being typed', () => {
+      const { rl } = createReadline();
+      const onLine = sinon.spy();
+
+      rl.on('line', onLine);
+      rl.write('half');
+      rl.write(null, { name: 'left' });
+      rl.submit('ls');
+
+      expect(onLine.calledWith('ls')).to.be.equal(true);
+      expect(rl.line).to.be.equal('half');
+      expect(rl.cursor).to.be.equal(3);
+    });
+  });
+
+  describe('resize', () => {
+    it('should wrap to the size of the output stream and redraw on resize', () => {
+      const io = { columnCount: 20, rowCount: 5, writeUTF8: sinon.spy() };
+      const output = new OutputStream(io);
+      const rl = Readline.createInterface({ input: new PassThrough(), output, prompt: '> ' });
+
+      expect(rl.columns).to.be.equal(20);
+
+      rl.write('abcdefghij');
+      expect(rl._getCursorPos()).to.be.deep.equal({ cols: 12, rows: 0 });
+
+      io.writeUTF8.reset();
+      output.resize(8, 5);
+
+      expect(rl.columns).to.be.equal(8);
+      expect(rl._getCursorPos()).to.be.deep.equal({ cols: 4, rows: 1 });
+      expect(io.writeUTF8.called).to.be.equal(true);
+    });
+  });
+});
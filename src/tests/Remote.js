@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import RemoteCommand from '../Remote';
+import { stripVTControlCharacters } from '../Util';
+const { describe, it, beforeEach, afterEach } = global;
+
+function createRemote (config) {
+  const sockets = [];
+  let output = '';
+
+  class FakeSocket {
+    constructor (url) {
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      sockets.push(this);
+    }
+
+    send (data) {
+      this.sent.push(JSON.parse(data));
+    }
+
+    close () {
+      this.readyState = 3;
+    }
+
+    open () {
+      this.readyState = 1;
+      this.onopen();
+    }
+
+    receive (message) {
+      this.onmessage({ data: JSON.stringify(message) });
+    }
+
+    drop () {
+      this.readyState = 3;
+      this.onclose();
+    }
+  }
+
+  const io = {
+    columnCount: 80,
+    rowCount: 24,
+    writeUTF8: (data) => { output += data; },
+  };
+
+  const remote = new RemoteCommand({ io }, Object.assign({
+    url: 'ws://localhost:8022',
+    WebSocket: FakeSocket,
+  }, config));
+
+  remote.run();
+
+  return { remote, io, sockets, output: () => stripVTControlCharacters(output) };
+}
+
+describe('RemoteCommand', () => {
+  let clock;
+
+  beforeEach(() => { clock = sinon.useFakeTimers(); });
+  afterEach(() => clock.restore());
+
+  it('should relay keystrokes, output and resizes', () => {
+    const { remote, io, sockets, output } = createRemote();
+    const socket = sockets[0];
+
+    socket.open();
+    io.onVTKeystroke('l');
+    io.onTerminalResize(100, 30);
+    socket.receive({ type: 'stdout', data: 'hello' });
+
+    expect(socket.url).to.be.equal('ws://localhost:8022');
+    expect(socket.sent).to.be.deep.equal([
+      { type: 'resize', columns: 80, rows: 24 },
+      { type: 'stdin', data: 'l' },
+      { type: 'resize', columns: 100, rows: 30 },
+    ]);
+    expect(output()).to.be.equal('hello');
+    expect(remote.status).to.be.equal('open');
+  });
+
+  it('should reconnect with a growing delay after the connection drops', () => {
+    const onStatus = sinon.spy();
+    const { sockets, output } = createRemote({ onStatus, reconnect: { delay: 1000, retries: 2 } });
+
+    sockets[0].open();
+    sockets[0].drop();
+    expect(output()).to.contain('[disconnected, reconnecting in 1s]');
+
+    clock.tick(1000);
+    expect(sockets.length).to.be.equal(2);
+
+    sockets[1].drop();
+    expect(output()).to.contain('reconnecting in 2s');
+
+    clock.tick(1999);
+    expect(sockets.length).to.be.equal(2);
+    clock.tick(1);
+    sockets[2].open();
+
+    expect(output()).to.contain('[reconnected]');
+    expect(onStatus.args.map(args => args[0])).to.be.deep.equal([
+      'connecting', 'open', 'reconnecting', 'open',
+    ]);
+  });
+
+  it('should stay disconnected when reconnecting is off', () => {
+    const { remote, sockets, output } = createRemote({ reconnect: false });
+
+    sockets[0].drop();
+    clock.tick(60000);
+
+    expect(sockets.length).to.be.equal(1);
+    expect(output()).to.contain('[disconnected]');
+    expect(remote.status).to.be.equal('closed');
+  });
+
+  it('should end the session with the exit status of the process', () => {
+    const onExit = sinon.spy();
+    const { sockets, output } = createRemote({ onExit });
+
+    sockets[0].open();
+    sockets[0].receive({ type: 'exit', code: 3 });
+    sockets[0].drop();
+    clock.tick(60000);
+
+    expect(onExit.calledWith(3)).to.be.equal(true);
+    expect(output()).to.contain('[process exited with status 3]');
+    expect(sockets.length).to.be.equal(1);
+  });
+});
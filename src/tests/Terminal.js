@@ -0,0 +1,116 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import Terminal from '../Terminal';
+const { describe, it } = global;
+
+function createTerminal (props) {
+  const component = new Terminal(Object.assign({ commandClass: class {} }, props));
+  const prefs = { set: sinon.spy(), reset: sinon.spy() };
+
+  component.terminal = {
+    getPrefs: () => prefs,
+    setCursorShape: sinon.spy(),
+  };
+  component._ready = true;
+
+  return { component, prefs };
+}
+
+describe('Terminal', () => {
+  describe('applyPreferences', () => {
+    it('should map the theme onto hterm preferences', () => {
+      const { component, prefs } = createTerminal({
+        theme: { background: '#000', fontSize: 12, cursorShape: 'block', palette: ['#111'] },
+        prefs: { 'font-size': 16 },
+      });
+
+      component.applyPreferences();
+
+      expect(prefs.set.calledWith('background-color', '#000')).to.be.equal(true);
+      expect(prefs.set.calledWith('foreground-color', '#abb2bf')).to.be.equal(true);
+      expect(prefs.set.calledWith('color-palette-overrides', ['#111'])).to.be.equal(true);
+      expect(prefs.set.calledWith('font-size', 16)).to.be.equal(true);
+      expect(prefs.set.calledWith('font-size', 12)).to.be.equal(false);
+      expect(component.terminal.setCursorShape.calledWith('BLOCK')).to.be.equal(true);
+    });
+
+    it('should apply changed props and reset dropped preferences', () => {
+      const { component, prefs } = createTerminal({ prefs: { 'scrollbar-visible': false } });
+
+      component.applyPreferences();
+      component.props = Object.assign({}, component.props, { prefs: {}, theme: { background: '#fff' } });
+      component.componentDidUpdate({ prefs: { 'scrollbar-visible': false } });
+
+      expect(prefs.reset.calledWith('scrollbar-visible')).to.be.equal(true);
+      expect(prefs.set.calledWith('background-color', '#fff')).to.be.equal(true);
+    });
+  });
+
+  describe('componentWillUnmount', () => {
+    it('should tear down the command and the hterm instance', () => {
+      const terminalRef = sinon.spy();
+      const { component, prefs } = createTerminal({ terminalRef });
+      const terminal = Object.assign(component.terminal, {
+        command: { destroy: sinon.spy() },
+        uninstallKeyboard: sinon.spy(),
+        setCursorBlink: sinon.spy(),
+      });
+
+      prefs.deactivate = sinon.spy();
+      component.componentWillUnmount();
+
+      expect(terminal.command.destroy.calledOnce).to.be.equal(true);
+      expect(terminal.uninstallKeyboard.calledOnce).to.be.equal(true);
+      expect(prefs.deactivate.calledOnce).to.be.equal(true);
+      expect(terminalRef.calledWith(null)).to.be.equal(true);
+      expect(component.terminal).to.be.equal(null);
+    });
+  });
+
+  describe('imperative API', () => {
+    it('should delegate to the command session', async () => {
+      const { component } = createTerminal();
+      const command = {
+        print: sinon.spy(),
+        submit: sinon.stub().returns(Promise.resolve(0)),
+        setInputEnabled: sinon.spy(),
+        getHistory: () => ['ls'],
+      };
+
+      component.command = command;
+      component.terminal.setCursorVisible = sinon.spy();
+
+      component.writeln('one\ntwo');
+      expect(command.print.calledWith('one\r\ntwo\r\n')).to.be.equal(true);
+
+      expect(await component.runCommand('ls')).to.be.equal(0);
+      expect(component.getHistory()).to.be.deep.equal(['ls']);
+
+      component.setInputEnabled(false);
+      expect(command.setInputEnabled.calledWith(false)).to.be.equal(true);
+      expect(component.terminal.setCursorVisible.calledWith(false)).to.be.equal(true);
+    });
+
+    it('should reject commands before the terminal is ready', async () => {
+      const component = new Terminal({ commandClass: class {} });
+      let error;
+
+      await component.runCommand('ls').catch((err) => { error = err; });
+      expect(error.message).to.contain('not ready');
+    });
+  });
+
+  describe('resize', () => {
+    it('should fit hterm when the window is resized', () => {
+      const { component } = createTerminal();
+
+      component.terminal.scrollPort_ = { resize: sinon.spy() };
+      component.observeResize();
+      window.dispatchEvent(new window.Event('resize'));
+      component.unobserveResize();
+      window.dispatchEvent(new window.Event('resize'));
+
+      expect(component.terminal.scrollPort_.resize.calledOnce).to.be.equal(true);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { PassThrough, Writable } from 'stream';
+import { expect } from 'chai';
+import Readline from '../Readline';
+const { describe, it } = global;
+
+function escape (rl) {
+  rl.write(null, { name: 'escape' });
+}
+
+function createReadline (line) {
+  let written = '';
+  let input = new PassThrough();
+  let output = new Writable({
+    write (chunk, enc, next) {
+      written += chunk.toString();
+      next();
+    },
+  });
+
+  let rl = new Readline({ input, output, prompt: '> ', editMode: 'vi' });
+
+  if (line) {
+    rl.write(line);
+    escape(rl);
+  }
+
+  return { rl, output: () => written };
+}
+
+// Type normal mode commands, one key at a time
+function keys (rl, sequence) {
+  sequence.split('').forEach(ch => rl.write(ch));
+}
+
+describe('ViMode', () => {
+  it('should start in insert mode and switch to normal mode on escape', () => {
+    const { rl, output } = createReadline();
+
+    rl.prompt();
+    expect(output()).to.contain('(ins) > ');
+
+    rl.write('abc');
+    expect(rl.line).to.be.equal('abc');
+
+    escape(rl);
+    expect(rl._vi.mode).to.be.equal('normal');
+    expect(rl.cursor).to.be.equal(2);
+    expect(output()).to.contain('(cmd) > abc');
+
+    keys(rl, 'xyz');
+    expect(rl.line).to.be.equal('ab');
+  });
+
+  it('should switch to normal mode on an escape typed on the keyboard', async () => {
+    const { rl } = createReadline();
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    rl.input.write('hello world');
+    rl.input.write('\x1b');
+
+    // A lone escape is only reported after the escape code timeout
+    await wait(600);
+    expect(rl._vi.mode).to.be.equal('normal');
+
+    rl.input.write('0dw');
+    await wait(0);
+    expect(rl.line).to.be.equal('world');
+  });
+
+  it('should move with h l w b e 0 and $', () => {
+    const { rl } = createReadline('foo bar.baz qux');
+    const positions = [];
+
+    ['0', 'w', 'w', 'w', 'b', 'e', 'e', 'l', 'h', 'h', '$'].forEach((key) => {
+      rl.write(key);
+      positions.push(rl.cursor);
+    });
+
+    expect(positions).to.be.deep.equal([0, 4, 7, 8, 7, 10, 14, 14, 13, 12, 14]);
+  });
+
+  it('should apply d c and y to motions', () => {
+    const { rl } = createReadline('one two three');
+
+    keys(rl, '0dw');
+    expect(rl.line).to.be.equal('two three');
+
+    keys(rl, 'de');
+    expect(rl.line).to.be.equal(' three');
+
+    keys(rl, 'wd$');
+    expect(rl.line).to.be.equal(' ');
+
+    keys(rl, 'dd');
+    expect(rl.line).to.be.equal('');
+
+    keys(rl, 'i');
+    rl.write('alpha beta');
+    escape(rl);
+    keys(rl, '0cw');
+    expect(rl._vi.mode).to.be.equal('insert');
+    rl.write('gamma');
+    expect(rl.line).to.be.equal('gamma beta');
+
+    escape(rl);
+    keys(rl, 'wyw0P');
+    expect(rl.line).to.be.equal('betagamma beta');
+  });
+
+  it('should delete with x and paste after the cursor with p', () => {
+    const { rl } = createReadline('abc');
+
+    keys(rl, '0xp');
+    expect(rl.line).to.be.equal('bac');
+    expect(rl.cursor).to.be.equal(1);
+  });
+
+  it('should enter insert mode at the right place with i a A and I', () => {
+    const { rl } = createReadline('bd');
+
+    keys(rl, '0a');
+    rl.write('c');
+    escape(rl);
+    keys(rl, 'I');
+    rl.write('a');
+    escape(rl);
+    keys(rl, 'A');
+    rl.write('e');
+    escape(rl);
+    keys(rl, '0i');
+    rl.write('>');
+
+    expect(rl.line).to.be.equal('>abcde');
+  });
+
+  it('should undo changes with u', () => {
+    const { rl } = createReadline('hello world');
+
+    keys(rl, '0dw');
+    keys(rl, 'A');
+    rl.write('!');
+    escape(rl);
+    expect(rl.line).to.be.equal('world!');
+
+    keys(rl, 'u');
+    expect(rl.line).to.be.equal('world');
+    keys(rl, 'u');
+    expect(rl.line).to.be.equal('hello world');
+    keys(rl, 'u');
+    expect(rl.line).to.be.equal('');
+    keys(rl, 'u');
+    expect(rl.line).to.be.equal('');
+  });
+
+  it('should share the undo history with the emacs bindings', () => {
+    const { rl } = createReadline('one two three');
+
+    // An emacs-style kill undone from normal mode
+    keys(rl, 'A');
+    rl.write(null, { name: 'w', ctrl: true });
+    escape(rl);
+    expect(rl.line).to.be.equal('one two ');
+    keys(rl, 'u');
+    expect(rl.line).to.be.equal('one two three');
+
+    // A vi operator undone with ctrl+_
+    keys(rl, '0dw');
+    expect(rl.line).to.be.equal('two three');
+    rl.write(null, { name: '_', ctrl: true });
+    expect(rl.line).to.be.equal('one two three');
+  });
+
+  it('should undo a change with the text typed after it and redo with ctrl+r', () => {
+    const { rl } = createReadline('alpha beta');
+
+    keys(rl, '0cw');
+    rl.write('g');
+    rl.write('amma');
+    escape(rl);
+    expect(rl.line).to.be.equal('gamma beta');
+
+    keys(rl, 'u');
+    expect(rl.line).to.be.equal('alpha beta');
+
+    rl.write(null, { name: 'r', ctrl: true });
+    expect(rl.line).to.be.equal('gamma beta');
+    expect(rl._search).to.be.equal(null);
+    expect(rl.cursor).to.be.below(rl.line.length);
+  });
+
+  it('should move through the history with j and k', () => {
+    const { rl } = createReadline();
+
+    ['first', 'second'].forEach((line) => {
+      rl.write(line);
+      rl.write(null, { name: 'return' });
+    });
+
+    escape(rl);
+    keys(rl, 'k');
+    expect(rl.line).to.be.equal('second');
+    expect(rl.cursor).to.be.equal(0);
+
+    keys(rl, 'k');
+    expect(rl.line).to.be.equal('first');
+
+    keys(rl, 'j');
+    expect(rl.line).to.be.equal('second');
+  });
+
+  it('should start every line in insert mode', () => {
+    const { rl } = createReadline('ls');
+    let submitted = null;
+
+    rl.on('line', (line) => { submitted = line; });
+    rl.write(null, { name: 'return' });
+
+    expect(submitted).to.be.equal('ls');
+    expect(rl._vi.mode).to.be.equal('insert');
+  });
+
+  it('should switch back to emacs bindings', () => {
+    const { rl } = createReadline('abc');
+
+    rl.setEditMode('emacs');
+    rl.write('d');
+
+    expect(rl.line).to.be.equal('abdc');
+    expect(rl._displayPrompt()).to.be.equal('> ');
+    expect(() => rl.setEditMode('nano')).to.throw(TypeError);
+  });
+});